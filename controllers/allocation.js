@@ -1,14 +1,38 @@
 // controllers/allocation.js
 import ErrorResponse from '../utils/ErrorResponse.js';
 import asyncHandler from '../middleware/async.js';
-import Allocation from '../models/Allocation.js';
+import Allocation, {
+  RETURN_CONDITIONS,
+  ACTIVE_ALLOCATION_STATUSES,
+} from '../models/Allocation.js';
 import Asset from '../models/Asset.js';
-import User from '../models/User.js';
 import mongoose from 'mongoose';
 import { sendFcmToTokens } from '../utils/fcm.js';
-import sendEmail from '../utils/sendMail.js';
-
-const allocationPopulate = [
+import { streamExport } from '../utils/export.js';
+import {
+  updateBundleTracked,
+  assertNotAttached,
+} from '../utils/assetBundle.js';
+import { assertAllocatable, canTransition } from '../utils/assetLifecycle.js';
+import {
+  notifyUsers,
+  gatherTokensForUserIds,
+  gatherEmailsForUserIds,
+  sendEmailsToRecipients,
+} from '../utils/notify.js';
+import { parseZonedDate, formatInZone } from '../utils/timezone.js';
+import { assertLocation } from '../utils/location.js';
+import {
+  BOOKED_STATUSES,
+  allocationWindow,
+  normalizeDuration,
+  requestedWindow,
+  assertNoConflicts,
+  withBookingLock,
+} from '../utils/allocationWindow.js';
+import { buildFilter, toFieldString } from '../middleware/advancedResults.js';
+
+export const ALLOCATION_POPULATE_FIELDS = [
   { path: 'allocatedBy', select: 'name email role' },
   { path: 'allocatedTo', select: 'name email role' },
   {
@@ -21,6 +45,65 @@ const allocationPopulate = [
   },
 ];
 
+// fields clients may filter allocation lists/exports on
+export const ALLOCATION_FILTER_FIELDS = [
+  'status',
+  'allocationType',
+  'allocatedTo',
+  'allocatedBy',
+  'approvedBy',
+  'asset',
+  'location',
+  'isRequested',
+  'allocatedRequestDate',
+  'allocationStatusDate',
+  'createdAt',
+  'return.status',
+  'return.verifiedCondition',
+  'overdueSince',
+  'reminders.escalationLevel',
+];
+
+// spreadsheet columns for GET /api/v1/allocation/export
+const ALLOCATION_EXPORT_COLUMNS = [
+  { header: 'Asset Tag', value: (a) => a.asset?.chId },
+  { header: 'Asset', value: (a) => a.asset?.name, width: 30 },
+  { header: 'Serial No', value: (a) => a.asset?.serialNo },
+  { header: 'Allocation Type', value: (a) => a.allocationType },
+  { header: 'Status', value: (a) => a.status },
+  { header: 'Purpose', value: (a) => a.purpose, width: 30 },
+  { header: 'Allocated By', value: (a) => a.allocatedBy?.name },
+  {
+    header: 'Allocated By Email',
+    value: (a) => a.allocatedBy?.email,
+    width: 30,
+  },
+  { header: 'Allocated To', value: (a) => a.allocatedTo?.name },
+  {
+    header: 'Allocated To Email',
+    value: (a) => a.allocatedTo?.email,
+    width: 30,
+  },
+  { header: 'Approved By', value: (a) => a.approvedBy?.name },
+  {
+    header: 'Approved By Email',
+    value: (a) => a.approvedBy?.email,
+    width: 30,
+  },
+  { header: 'Requested On', value: (a) => a.allocatedRequestDate },
+  { header: 'Status Date', value: (a) => a.allocationStatusDate },
+  { header: 'Start', value: (a) => a.duration?.startTime },
+  { header: 'End', value: (a) => a.duration?.endTime },
+  { header: 'Time Zone', value: (a) => a.duration?.timeZone },
+  { header: 'Overdue Since', value: (a) => a.overdueSince },
+  { header: 'Returned On', value: (a) => a.return?.returnedAt },
+  {
+    header: 'Return Condition',
+    value: (a) => a.return?.verifiedCondition || a.return?.condition,
+  },
+  { header: 'Rejection Reason', value: (a) => a.rejectionReason, width: 30 },
+];
+
 /**
  * Helper to validate ObjectId
  */
@@ -28,150 +111,6 @@ function isValidId(id) {
   return mongoose.Types.ObjectId.isValid(id);
 }
 
-/**
- * Normalize messy user id inputs to an array of ObjectId strings.
- */
-function normalizeUserIds(input = []) {
-  if (!Array.isArray(input)) input = [input];
-
-  const ids = input
-    .map((v) => {
-      if (!v) return null;
-
-      // If it's a mongoose document or plain object
-      if (typeof v === 'object') {
-        if (v._id) return String(v._id);
-        if (v.id) return String(v.id);
-        return null;
-      }
-
-      if (typeof v === 'string') {
-        const s = v.trim();
-        if (mongoose.Types.ObjectId.isValid(s)) return s;
-        try {
-          const parsed = JSON.parse(s);
-          if (parsed && (parsed._id || parsed.id)) {
-            const maybe = String(parsed._id || parsed.id);
-            if (mongoose.Types.ObjectId.isValid(maybe)) return maybe;
-          }
-        } catch (_) {}
-        const oidMatch = s.match(/ObjectId\(['"`]?([a-fA-F0-9]{24})['"`]?\)/);
-        if (oidMatch && oidMatch[1]) return oidMatch[1];
-        const hexMatch = s.match(
-          /_id[^:]*[:=][^'"\dA-Fa-f]*['"`]?([a-fA-F0-9]{24})['"`]?/
-        );
-        if (hexMatch && hexMatch[1]) return hexMatch[1];
-        return null;
-      }
-
-      const asStr = String(v);
-      if (mongoose.Types.ObjectId.isValid(asStr)) return asStr;
-      return null;
-    })
-    .filter(Boolean);
-
-  const unique = Array.from(new Set(ids));
-  return unique.filter((id) => mongoose.Types.ObjectId.isValid(id));
-}
-
-/**
- * Gather FCM tokens for given user identifiers (ids, docs, or messy strings).
- * Returns deduped array of token strings.
- */
-export async function gatherTokensForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-
-  const users = await User.find({ _id: { $in: ids } })
-    .select('fcmTokens name')
-    .lean();
-  const tokens = users.flatMap((u) =>
-    Array.isArray(u.fcmTokens) ? u.fcmTokens : []
-  );
-  return Array.from(new Set(tokens.filter(Boolean)));
-}
-
-/**
- * Gather emails (and optionally names) for given user identifiers.
- * Returns array of { email, name } objects (deduped).
- */
-export async function gatherEmailsForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-
-  const users = await User.find({ _id: { $in: ids } })
-    .select('email name')
-    .lean();
-
-  const list = users
-    .map((u) => {
-      if (!u || !u.email) return null;
-      return { email: String(u.email), name: u.name || '' };
-    })
-    .filter(Boolean);
-
-  // dedupe by email
-  const seen = new Set();
-  const unique = [];
-  for (const item of list) {
-    if (!seen.has(item.email)) {
-      seen.add(item.email);
-      unique.push(item);
-    }
-  }
-  return unique;
-}
-
-/**
- * Send emails to list of { email, name } recipients, concurrently.
- * Returns summary { sent, failed, failures }.
- */
-async function sendEmailsToRecipients(recipients = [], subject, body) {
-  if (!recipients || !recipients.length)
-    return { sent: 0, failed: 0, failures: [] };
-
-  // ensure sendEmail is a function
-  if (typeof sendEmail !== 'function') {
-    console.error(
-      'sendEmail is not a function - check utils/sendMail.js export'
-    );
-    return {
-      sent: 0,
-      failed: recipients.length,
-      failures: recipients.map((r) => ({
-        email: r.email,
-        error: 'sendEmail missing',
-      })),
-    };
-  }
-
-  const promises = recipients.map((r) =>
-    sendEmail({
-      email: r.email,
-      subject,
-      body,
-    })
-      .then(() => ({ email: r.email, ok: true }))
-      .catch((err) => ({
-        email: r.email,
-        ok: false,
-        error: err.message || String(err),
-      }))
-  );
-
-  const results = await Promise.allSettled(promises);
-  const failures = [];
-  let sent = 0;
-  for (const res of results) {
-    if (res.status === 'fulfilled' && res.value && res.value.ok) sent++;
-    else {
-      const info = (res.status === 'fulfilled' ? res.value : res.reason) || {};
-      failures.push(info);
-    }
-  }
-  return { sent, failed: failures.length, failures };
-}
-
 /**
  * Return a small, safe summary object for an allocation to use in notifications/emails.
  * DOES NOT expose the raw allocationId.
@@ -204,15 +143,46 @@ function allocationSummaryForNotify(allocationDoc = {}) {
  * @access  Private
  */
 export const createAllocation = asyncHandler(async (req, res, next) => {
-  const create = await Allocation.create(req.body);
+  const data = { ...req.body, duration: normalizeDuration(req.body.duration) };
+
+  if (req.body.asset) {
+    if (!isValidId(req.body.asset))
+      return next(new ErrorResponse(`Invalid asset id ${req.body.asset}`, 400));
+    const target = await Asset.findById(req.body.asset).select(
+      'deletedAt assetState chId parent'
+    );
+    if (!target)
+      return next(new ErrorResponse(`Asset not found ${req.body.asset}`, 404));
+    if (target.deletedAt)
+      return next(
+        new ErrorResponse(
+          `Asset ${req.body.asset} is archived and cannot be allocated`,
+          400
+        )
+      );
+    assertAllocatable(target);
+    await assertNotAttached(target);
+  }
+  if (req.body.location) await assertLocation(req.body.location);
+
+  const create = await withBookingLock(data.asset, async () => {
+    // 409 with the overlapping bookings if the window is taken
+    if (data.asset)
+      await assertNoConflicts(data.asset, requestedWindow(data.duration));
+    return Allocation.create(data);
+  });
 
   // If the allocation references an asset, set that asset's `allocation` field
   if (create.asset) {
     try {
-      await Asset.findByIdAndUpdate(
+      await updateBundleTracked(
         create.asset,
         { allocation: create._id },
-        { new: true }
+        {
+          action: 'allocation:create',
+          actor: req.user?.id,
+          allocation: create._id,
+        }
       );
     } catch (err) {
       console.error(
@@ -237,7 +207,7 @@ export const createAllocation = asyncHandler(async (req, res, next) => {
 
     // get populated allocation so we can include names, asset details
     const populatedCreate = await Allocation.findById(create._id).populate(
-      allocationPopulate
+      ALLOCATION_POPULATE_FIELDS
     );
     const summary = allocationSummaryForNotify(populatedCreate || create);
 
@@ -291,7 +261,7 @@ TAGit
   }
 
   const populated = await Allocation.findById(create._id).populate(
-    allocationPopulate
+    ALLOCATION_POPULATE_FIELDS
   );
   res.status(201).json({
     success: true,
@@ -300,15 +270,35 @@ TAGit
 });
 
 /**
- * @desc    Get All Allocations
+ * @desc    List allocations (same filters as the export, paginated)
  * @route   GET /api/v1/allocation
  * @access  Private
  */
 export const getAllocations = asyncHandler(async (req, res, next) => {
-  const allocations = await Allocation.find().populate(allocationPopulate);
-  res.status(200).json({
-    success: true,
-    data: allocations,
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Export Allocations as CSV or XLSX
+ * @route   GET /api/v1/allocation/export?format=csv|xlsx
+ * @access  Private (admin, purchaser)
+ */
+export const exportAllocations = asyncHandler(async (req, res, next) => {
+  const filter = buildFilter(req.query, ALLOCATION_FILTER_FIELDS);
+  const query = Allocation.find(filter)
+    .sort(toFieldString(req.query.sort) || '-createdAt')
+    .populate([
+      { path: 'allocatedBy', select: 'name email' },
+      { path: 'allocatedTo', select: 'name email' },
+      { path: 'approvedBy', select: 'name email' },
+      { path: 'asset', select: 'chId name serialNo' },
+    ]);
+
+  await streamExport(res, {
+    query,
+    columns: ALLOCATION_EXPORT_COLUMNS,
+    format: req.query.format || 'csv',
+    filename: 'allocations',
   });
 });
 
@@ -322,7 +312,9 @@ export const getAllocationById = asyncHandler(async (req, res, next) => {
   if (!isValidId(id))
     return next(new ErrorResponse(`Invalid allocation id ${id}`, 400));
 
-  const allocation = await Allocation.findById(id).populate(allocationPopulate);
+  const allocation = await Allocation.findById(id).populate(
+    ALLOCATION_POPULATE_FIELDS
+  );
   if (!allocation)
     return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
 
@@ -341,7 +333,7 @@ export const getAllocationByUserId = asyncHandler(async (req, res, next) => {
 
   const allocations = await Allocation.find({
     $or: [{ allocatedTo: userId }, { allocatedBy: userId }],
-  }).populate(allocationPopulate);
+  }).populate(ALLOCATION_POPULATE_FIELDS);
 
   res.status(200).json({ success: true, data: allocations });
 });
@@ -357,13 +349,14 @@ export const getAllocationByAssetId = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Invalid asset id ${assetId}`, 400));
 
   const allocations = await Allocation.find({ asset: assetId }).populate(
-    allocationPopulate
+    ALLOCATION_POPULATE_FIELDS
   );
   res.status(200).json({ success: true, data: allocations });
 });
 
 /**
- * @desc    Generic Update Allocation (does NOT change Asset owner)
+ * @desc    Generic Update Allocation (does NOT change Asset owner). Only the
+ *          asset owner or an admin can move the end of an active allocation.
  * @route   PUT /api/v1/allocation/:id
  * @access  Private
  */
@@ -372,16 +365,76 @@ export const updateAllocation = asyncHandler(async (req, res, next) => {
   if (!isValidId(id))
     return next(new ErrorResponse(`Invalid allocation id ${id}`, 400));
 
-  const updated = await Allocation.findByIdAndUpdate(id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const existing = await Allocation.findById(id);
+  if (!existing)
+    return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
+
+  const update = { ...req.body };
+  // the booking itself (which asset, for whom) is fixed; raise a new
+  // request to change it
+  delete update.asset;
+  delete update.allocatedTo;
+  // status only moves through approve/reject, return/verify and check-in
+  delete update.status;
+  delete update.requestStatus;
+  delete update.return;
+  // managed through /:id/extension and /:id/recall
+  delete update.extensionRequests;
+  delete update.recalls;
+  // written by the availability scheduler
+  delete update.overdueSince;
+  delete update.reminders;
+  if (req.body.duration !== undefined) {
+    // fields not sent keep their current value; send null to clear one
+    const { raw, ...current } = existing.toObject().duration || {};
+    update.duration = normalizeDuration({ ...current, ...req.body.duration });
+
+    // Borrowers get more time through an extension the owner approves
+    const endMoved =
+      update.duration.endTime?.getTime() !== current.endTime?.getTime();
+    if (endMoved && ACTIVE_ALLOCATION_STATUSES.includes(existing.status)) {
+      const asset = await Asset.findById(existing.asset).select('owner');
+      if (!isOwnerOrAdmin(asset, req.user))
+        return next(
+          new ErrorResponse(
+            `Only the asset owner or an admin can move the end date. Use POST /api/v1/allocation/${id}/extension`,
+            403
+          )
+        );
+    }
+  }
+
+  // Re-check the booking when its window moves
+  const recheck =
+    update.duration &&
+    BOOKED_STATUSES.includes(existing.status) &&
+    existing.asset;
+  const updated = await withBookingLock(
+    recheck ? existing.asset : null,
+    async () => {
+      if (recheck)
+        await assertNoConflicts(
+          existing.asset,
+          requestedWindow(update.duration, existing.allocatedRequestDate),
+          {
+            statuses: ACTIVE_ALLOCATION_STATUSES.includes(existing.status)
+              ? ACTIVE_ALLOCATION_STATUSES
+              : undefined,
+            excludeId: existing._id,
+          }
+        );
+      return Allocation.findByIdAndUpdate(id, update, {
+        new: true,
+        runValidators: true,
+      });
+    }
+  );
 
   if (!updated)
     return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
 
   const populated = await Allocation.findById(updated._id).populate(
-    allocationPopulate
+    ALLOCATION_POPULATE_FIELDS
   );
 
   // Notify optionally about update
@@ -442,11 +495,40 @@ export const approveAllocation = asyncHandler(async (req, res, next) => {
   if (!allocation)
     return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
 
-  allocation.requestStatus = true;
-  allocation.status = 'approved';
-  allocation.allocationStatusDate = new Date();
-  if (req.user && req.user.id) allocation.approvedBy = req.user.id;
-  await allocation.save();
+  // The asset may have been lost or sent for repair since the request
+  if (allocation.asset) {
+    const target = await Asset.findById(allocation.asset).select(
+      'deletedAt assetState chId parent'
+    );
+    if (target?.deletedAt)
+      return next(
+        new ErrorResponse(
+          `Asset ${
+            target.chId || target._id
+          } is archived and cannot be allocated`,
+          400
+        )
+      );
+    if (target) {
+      assertAllocatable(target);
+      await assertNotAttached(target);
+    }
+  }
+
+  await withBookingLock(allocation.asset, async () => {
+    // overlapping pending requests stay pending; approved ones win
+    if (allocation.asset)
+      await assertNoConflicts(allocation.asset, allocationWindow(allocation), {
+        statuses: ACTIVE_ALLOCATION_STATUSES,
+        excludeId: allocation._id,
+      });
+
+    allocation.requestStatus = true;
+    allocation.status = 'approved';
+    allocation.allocationStatusDate = new Date();
+    if (req.user && req.user.id) allocation.approvedBy = req.user.id;
+    await allocation.save();
+  });
 
   // Update asset availability & owner if needed
   if (allocation.asset) {
@@ -455,10 +537,17 @@ export const approveAllocation = asyncHandler(async (req, res, next) => {
       if (allocation.allocationType === 'Owner' && allocation.allocatedTo) {
         updateData.owner = allocation.allocatedTo;
       }
-      await Asset.findByIdAndUpdate(allocation.asset, updateData, {
-        new: true,
-        runValidators: true,
-      });
+      if (allocation.location) updateData.location = allocation.location;
+      await updateBundleTracked(
+        allocation.asset,
+        updateData,
+        {
+          action: 'allocation:approve',
+          actor: req.user?.id,
+          allocation: allocation._id,
+        },
+        { runValidators: true }
+      );
     } catch (err) {
       console.error('Failed to update asset after approval:', err);
     }
@@ -466,7 +555,7 @@ export const approveAllocation = asyncHandler(async (req, res, next) => {
 
   const populatedAllocation = await Allocation.findById(
     allocation._id
-  ).populate(allocationPopulate);
+  ).populate(ALLOCATION_POPULATE_FIELDS);
 
   // Notifications + Emails
   try {
@@ -579,7 +668,7 @@ TAGit
   }
 
   const populated = await Allocation.findById(allocation._id).populate(
-    allocationPopulate
+    ALLOCATION_POPULATE_FIELDS
   );
   res.status(200).json({
     success: true,
@@ -613,10 +702,14 @@ export const rejectAllocation = asyncHandler(async (req, res, next) => {
   // Reset asset availability if linked
   if (allocation.asset) {
     try {
-      await Asset.findByIdAndUpdate(
+      await updateBundleTracked(
         allocation.asset,
         { availablity: true },
-        { new: true }
+        {
+          action: 'allocation:reject',
+          actor: req.user?.id,
+          allocation: allocation._id,
+        }
       );
     } catch (err) {
       console.error('Failed to set asset availability on reject:', err);
@@ -625,7 +718,7 @@ export const rejectAllocation = asyncHandler(async (req, res, next) => {
 
   const populatedAllocation = await Allocation.findById(
     allocation._id
-  ).populate(allocationPopulate);
+  ).populate(ALLOCATION_POPULATE_FIELDS);
 
   // Notifications + Emails
   try {
@@ -731,7 +824,7 @@ TAGit
   }
 
   const populated = await Allocation.findById(allocation._id).populate(
-    allocationPopulate
+    ALLOCATION_POPULATE_FIELDS
   );
   res.status(200).json({
     success: true,
@@ -739,3 +832,553 @@ TAGit
     data: populated,
   });
 });
+
+// assetState a returned asset moves to, by condition (first allowed wins)
+const RETURN_STATES = {
+  ok: ['Returned', 'In Stock'],
+  damaged: ['Damaged'],
+  missing_parts: ['Damaged'],
+};
+
+function returnState(currentState, condition) {
+  const candidates = RETURN_STATES[condition] || [];
+  if (candidates.includes(currentState)) return currentState;
+  return candidates.find((state) => canTransition(currentState, state));
+}
+
+/**
+ * @desc    Hand an allocated asset back (early or on time). The allocation
+ *          stays approved until the asset owner or an admin verifies it.
+ * @route   PUT /api/v1/allocation/:id/return
+ * @body    { condition: ok|damaged|missing_parts, returnedAt?, notes?,
+ *            photos?: [{ url, name? }] }
+ * @access  Private (allocated user, admin, purchaser)
+ */
+export const returnAllocation = asyncHandler(async (req, res, next) => {
+  const id = req.params.id;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid allocation id ${id}`, 400));
+
+  const allocation = await Allocation.findById(id);
+  if (!allocation)
+    return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
+  if (
+    !['admin', 'purchaser'].includes(req.user.role) &&
+    !allocation.allocatedTo?.equals(req.user._id)
+  )
+    return next(
+      new ErrorResponse('Only the allocated user can return this asset', 403)
+    );
+  if (!ACTIVE_ALLOCATION_STATUSES.includes(allocation.status))
+    return next(
+      new ErrorResponse(
+        `Only approved or overdue allocations can be returned (this one is ${allocation.status})`,
+        409
+      )
+    );
+  if (allocation.return?.status === 'submitted')
+    return next(
+      new ErrorResponse('A return is already waiting for verification', 409)
+    );
+
+  let returnedAt = new Date();
+  if (req.body.returnedAt) {
+    returnedAt = parseZonedDate(
+      req.body.returnedAt,
+      allocation.duration?.timeZone
+    );
+    if (!returnedAt || returnedAt > new Date())
+      return next(
+        new ErrorResponse(
+          'returnedAt must be a date that is not in the future',
+          400
+        )
+      );
+  }
+
+  const photos = Array.isArray(req.body.photos) ? req.body.photos : [];
+  allocation.return = {
+    status: 'submitted',
+    returnedAt,
+    submittedBy: req.user.id,
+    condition: req.body.condition,
+    notes: req.body.notes,
+    photos: photos.map((p) => ({ url: p?.url, name: p?.name })),
+  };
+  await allocation.save();
+
+  const asset = await Asset.findById(allocation.asset).select(
+    'name chId owner'
+  );
+  if (asset)
+    await notifyUsers({
+      userIds: [asset.owner],
+      includeAdmins: true,
+      title: 'Asset returned',
+      body: `${asset.name} (${asset.chId}) was returned as "${allocation.return.condition}" and needs checking in`,
+      data: {
+        type: 'allocation:return',
+        allocationId: String(allocation._id),
+        assetId: String(asset._id),
+      },
+      emailBody: [
+        'Hello,',
+        '',
+        `${asset.name} (${asset.chId}) was handed back and needs checking in.`,
+        '',
+        `Condition reported: ${allocation.return.condition}`,
+        `Returned on: ${returnedAt.toISOString().slice(0, 10)}`,
+        ...(allocation.return.notes
+          ? [`Notes: ${allocation.return.notes}`]
+          : []),
+        `Photos: ${allocation.return.photos.length}`,
+        '',
+        'Regards,',
+        'TAGit',
+      ].join('\n'),
+    });
+
+  const populated = await Allocation.findById(allocation._id).populate(
+    ALLOCATION_POPULATE_FIELDS
+  );
+  res.status(200).json({
+    success: true,
+    message: 'Return submitted for verification',
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Check a returned asset in: records the condition found, completes
+ *          the allocation and updates the asset's availability and state
+ *          (ok -> Returned, damaged / missing parts -> Damaged)
+ * @route   PUT /api/v1/allocation/:id/return/verify
+ * @body    { condition?, notes? }
+ * @access  Private (asset owner, admin)
+ */
+export const verifyReturn = asyncHandler(async (req, res, next) => {
+  const id = req.params.id;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid allocation id ${id}`, 400));
+
+  const allocation = await Allocation.findById(id);
+  if (!allocation)
+    return next(new ErrorResponse(`Allocation not found with id ${id}`, 404));
+  if (allocation.return?.status !== 'submitted')
+    return next(
+      new ErrorResponse('There is no return waiting for verification', 409)
+    );
+
+  const asset = await Asset.findById(allocation.asset).select(
+    'name chId owner assetState'
+  );
+  if (req.user.role !== 'admin' && !asset?.owner?.equals(req.user._id))
+    return next(
+      new ErrorResponse(
+        'Only the asset owner or an admin can verify returns',
+        403
+      )
+    );
+
+  const condition = req.body.condition || allocation.return.condition;
+  if (!RETURN_CONDITIONS.includes(condition))
+    return next(
+      new ErrorResponse(
+        `condition must be one of ${RETURN_CONDITIONS.join(', ')}`,
+        400
+      )
+    );
+
+  const now = new Date();
+  allocation.return.status = 'verified';
+  allocation.return.verifiedCondition = condition;
+  allocation.return.verificationNotes = req.body.notes;
+  allocation.return.verifiedBy = req.user.id;
+  allocation.return.verifiedAt = now;
+  allocation.status = 'completed';
+  allocation.allocationStatusDate = now;
+
+  if (asset) {
+    const state = returnState(asset.assetState, condition);
+    const update = { availablity: condition === 'ok' };
+    if (state && state !== asset.assetState) update.assetState = state;
+    allocation.return.resultingState = state || asset.assetState;
+
+    await updateBundleTracked(asset._id, update, {
+      action: 'allocation:return',
+      actor: req.user.id,
+      allocation: allocation._id,
+      note: [condition, req.body.notes || allocation.return.notes]
+        .filter(Boolean)
+        .join(': '),
+    });
+  }
+  await allocation.save();
+
+  if (asset)
+    await notifyUsers({
+      userIds: [allocation.allocatedTo],
+      title: 'Return checked in',
+      body: `Your return of ${asset.name} (${asset.chId}) was checked in as "${condition}"`,
+      data: {
+        type: 'allocation:return:verified',
+        allocationId: String(allocation._id),
+        assetId: String(asset._id),
+      },
+      emailBody: [
+        'Hello,',
+        '',
+        `Your return of ${asset.name} (${asset.chId}) was checked in as "${condition}".`,
+        ...(req.body.notes ? ['', `Notes: ${req.body.notes}`] : []),
+        '',
+        'Regards,',
+        'TAGit',
+      ].join('\n'),
+    });
+
+  const populated = await Allocation.findById(allocation._id).populate(
+    ALLOCATION_POPULATE_FIELDS
+  );
+  res.status(200).json({
+    success: true,
+    message: 'Return verified and allocation completed',
+    data: populated,
+  });
+});
+
+// minimum notice a borrower gets when an allocation is recalled
+const RECALL_NOTICE_HOURS =
+  Number(process.env.ALLOCATION_RECALL_NOTICE_HOURS) || 24;
+
+function isOwnerOrAdmin(asset, user) {
+  return user.role === 'admin' || !!asset?.owner?.equals(user._id);
+}
+
+/**
+ * Push + email users about an extension or recall, using the allocation
+ * summary. Never throws.
+ */
+async function notifyAllocationChange(userIds, allocationId, message) {
+  const { title, body, type, lines = [] } = message;
+  try {
+    const populated = await Allocation.findById(allocationId).populate(
+      ALLOCATION_POPULATE_FIELDS
+    );
+    const summary = allocationSummaryForNotify(populated);
+
+    const tokens = await gatherTokensForUserIds(userIds);
+    if (tokens.length)
+      await sendFcmToTokens(
+        tokens,
+        { title, body },
+        { type, allocation: summary }
+      );
+
+    const recipients = await gatherEmailsForUserIds(userIds);
+    if (recipients.length) {
+      const emailBody = [
+        'Hello,',
+        '',
+        body,
+        '',
+        `Asset: ${summary.assetName}`,
+        `Serial No: ${summary.assetSerial}`,
+        `Allocated To: ${summary.requestedTo} (${summary.requestedToEmail})`,
+        ...lines,
+        '',
+        'Regards,',
+        'TAGit',
+      ].join('\n');
+      const res = await sendEmailsToRecipients(
+        recipients,
+        `TAGit — ${title}`,
+        emailBody
+      );
+      if (res.failed) console.warn(`Email ${type} failures`, res.failures);
+    }
+  } catch (err) {
+    console.error(`FCM/Email error on ${type}:`, err);
+  }
+}
+
+async function findApprovedAllocation(id, statuses = ['approved']) {
+  if (!isValidId(id))
+    throw new ErrorResponse(`Invalid allocation id ${id}`, 400);
+  const allocation = await Allocation.findById(id);
+  if (!allocation)
+    throw new ErrorResponse(`Allocation not found with id ${id}`, 404);
+  if (!statuses.includes(allocation.status))
+    throw new ErrorResponse(
+      `Allocation is ${allocation.status}, not ${statuses.join(' or ')}`,
+      409
+    );
+  return allocation;
+}
+
+/**
+ * @desc    Ask for more time with an approved (or overdue) allocation. The
+ *          asset owner (or an admin) approves or rejects it.
+ * @route   POST /api/v1/allocation/:id/extension
+ * @body    { endTime, reason }
+ * @access  Private (allocated user, admin)
+ */
+export const requestExtension = asyncHandler(async (req, res, next) => {
+  const allocation = await findApprovedAllocation(
+    req.params.id,
+    ACTIVE_ALLOCATION_STATUSES
+  );
+  if (
+    req.user.role !== 'admin' &&
+    !allocation.allocatedTo?.equals(req.user._id)
+  )
+    return next(
+      new ErrorResponse('Only the allocated user can ask for an extension', 403)
+    );
+
+  const currentEnd = allocation.duration?.endTime;
+  if (!currentEnd)
+    return next(
+      new ErrorResponse('Allocation is open-ended and needs no extension', 400)
+    );
+  if (allocation.extensionRequests.some((r) => r.status === 'pending'))
+    return next(
+      new ErrorResponse('An extension request is already pending', 409)
+    );
+
+  const reason = String(req.body.reason ?? '').trim();
+  if (!reason) return next(new ErrorResponse('Please provide a reason', 400));
+  const endTime = parseZonedDate(
+    req.body.endTime,
+    allocation.duration?.timeZone
+  );
+  if (!endTime)
+    return next(new ErrorResponse('Please provide a valid endTime', 400));
+  if (endTime <= currentEnd)
+    return next(
+      new ErrorResponse('endTime must be after the current end date', 400)
+    );
+  if (endTime <= new Date())
+    return next(new ErrorResponse('endTime must be in the future', 400));
+
+  // The extra time must not overlap later bookings of the asset
+  if (allocation.asset)
+    await assertNoConflicts(
+      allocation.asset,
+      { start: currentEnd, end: endTime },
+      { excludeId: allocation._id }
+    );
+
+  allocation.extensionRequests.push({
+    requestedBy: req.user.id,
+    endTime,
+    previousEndTime: currentEnd,
+    reason,
+  });
+  await allocation.save();
+
+  const asset = await Asset.findById(allocation.asset).select('owner');
+  const timeZone = allocation.duration?.timeZone;
+  await notifyAllocationChange([asset?.owner], allocation._id, {
+    title: 'Extension Requested',
+    body: 'An extension has been requested for an allocated asset.',
+    type: 'allocation:extension:request',
+    lines: [
+      `Current end: ${formatInZone(currentEnd, timeZone)}`,
+      `Requested end: ${formatInZone(endTime, timeZone)}`,
+      `Reason: ${reason}`,
+    ],
+  });
+
+  const populated = await Allocation.findById(allocation._id).populate(
+    ALLOCATION_POPULATE_FIELDS
+  );
+  res.status(201).json({
+    success: true,
+    message: 'Extension requested',
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Approve or reject a pending extension request. Approving one on
+ *          an overdue allocation makes it approved again.
+ * @route   PUT /api/v1/allocation/:id/extension/:requestId/approve
+ * @route   PUT /api/v1/allocation/:id/extension/:requestId/reject
+ * @body    { note? } (reject: { reason })
+ * @access  Private (asset owner, admin)
+ */
+const reviewExtension = (approve) =>
+  asyncHandler(async (req, res, next) => {
+    const allocation = await findApprovedAllocation(
+      req.params.id,
+      ACTIVE_ALLOCATION_STATUSES
+    );
+    const request = allocation.extensionRequests.id(req.params.requestId);
+    if (!request)
+      return next(
+        new ErrorResponse(
+          `Extension request not found ${req.params.requestId}`,
+          404
+        )
+      );
+    if (request.status !== 'pending')
+      return next(
+        new ErrorResponse(`Extension request is already ${request.status}`, 409)
+      );
+
+    const asset = await Asset.findById(allocation.asset).select('owner');
+    if (!isOwnerOrAdmin(asset, req.user))
+      return next(
+        new ErrorResponse(
+          'Only the asset owner or an admin can review extensions',
+          403
+        )
+      );
+
+    const note = String(req.body.reason ?? req.body.note ?? '').trim();
+    if (!approve && !note)
+      return next(new ErrorResponse('Please provide a rejection reason', 400));
+
+    await withBookingLock(approve ? allocation.asset : null, async () => {
+      if (approve && allocation.asset) {
+        // bookings approved since the request may now be in the way
+        await assertNoConflicts(
+          allocation.asset,
+          { start: allocation.duration.endTime, end: request.endTime },
+          { statuses: ACTIVE_ALLOCATION_STATUSES, excludeId: allocation._id }
+        );
+      }
+      if (approve) {
+        allocation.duration.endTime = request.endTime;
+        if (allocation.status === 'overdue' && request.endTime > new Date()) {
+          allocation.status = 'approved';
+          allocation.overdueSince = undefined;
+          allocation.reminders.escalationLevel = 0;
+        }
+      }
+
+      request.status = approve ? 'approved' : 'rejected';
+      request.reviewedBy = req.user.id;
+      request.reviewedAt = new Date();
+      request.reviewNote = note || undefined;
+      await allocation.save();
+    });
+
+    const timeZone = allocation.duration?.timeZone;
+    await notifyAllocationChange([allocation.allocatedTo], allocation._id, {
+      title: approve ? 'Extension Approved' : 'Extension Rejected',
+      body: approve
+        ? 'Your extension request has been approved.'
+        : 'Your extension request has been rejected.',
+      type: `allocation:extension:${approve ? 'approve' : 'reject'}`,
+      lines: [
+        `Requested end: ${formatInZone(request.endTime, timeZone)}`,
+        `End date: ${formatInZone(allocation.duration?.endTime, timeZone)}`,
+        ...(note ? [`Note: ${note}`] : []),
+      ],
+    });
+
+    const populated = await Allocation.findById(allocation._id).populate(
+      ALLOCATION_POPULATE_FIELDS
+    );
+    res.status(200).json({
+      success: true,
+      message: `Extension ${request.status}`,
+      data: populated,
+    });
+  });
+
+export const approveExtension = reviewExtension(true);
+export const rejectExtension = reviewExtension(false);
+
+/**
+ * @desc    Recall an asset early by moving the allocation's end forward.
+ *          The borrower gets at least ALLOCATION_RECALL_NOTICE_HOURS
+ *          (default 24) of notice; pending extensions are rejected.
+ * @route   PUT /api/v1/allocation/:id/recall
+ * @body    { reason, endTime? } (default: now + notice period)
+ * @access  Private (asset owner, admin)
+ */
+export const recallAllocation = asyncHandler(async (req, res, next) => {
+  const allocation = await findApprovedAllocation(req.params.id);
+  const asset = await Asset.findById(allocation.asset).select('owner');
+  if (!isOwnerOrAdmin(asset, req.user))
+    return next(
+      new ErrorResponse('Only the asset owner or an admin can recall', 403)
+    );
+
+  const reason = String(req.body.reason ?? '').trim();
+  if (!reason) return next(new ErrorResponse('Please provide a reason', 400));
+
+  const timeZone = allocation.duration?.timeZone;
+  const earliest = new Date(Date.now() + RECALL_NOTICE_HOURS * 3600 * 1000);
+  const endTime = req.body.endTime
+    ? parseZonedDate(req.body.endTime, timeZone)
+    : earliest;
+  if (!endTime)
+    return next(new ErrorResponse('Please provide a valid endTime', 400));
+  // allow a minute of slack for the default
+  if (endTime < earliest - 60 * 1000)
+    return next(
+      new ErrorResponse(
+        `Recalls need at least ${RECALL_NOTICE_HOURS}h notice (end on or after ${earliest.toISOString()})`,
+        400
+      )
+    );
+
+  const currentEnd = allocation.duration?.endTime;
+  if (currentEnd && endTime >= currentEnd)
+    return next(
+      new ErrorResponse(
+        'endTime must be before the current end date to recall',
+        400
+      )
+    );
+  if (
+    allocation.duration?.startTime &&
+    endTime <= allocation.duration.startTime
+  )
+    return next(
+      new ErrorResponse('endTime must be after the allocation start', 400)
+    );
+
+  const now = new Date();
+  allocation.duration.endTime = endTime;
+  allocation.recalls.push({
+    recalledBy: req.user.id,
+    previousEndTime: currentEnd,
+    endTime,
+    reason,
+  });
+  for (const request of allocation.extensionRequests) {
+    if (request.status !== 'pending') continue;
+    request.status = 'rejected';
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = now;
+    request.reviewNote = 'Allocation was recalled';
+  }
+  await allocation.save();
+
+  await notifyAllocationChange([allocation.allocatedTo], allocation._id, {
+    title: 'Asset Recalled',
+    body: `The asset allocated to you has been recalled. Please return it by ${formatInZone(
+      endTime,
+      timeZone
+    )}.`,
+    type: 'allocation:recall',
+    lines: [
+      `Previous end: ${formatInZone(currentEnd, timeZone)}`,
+      `New end: ${formatInZone(endTime, timeZone)}`,
+      `Reason: ${reason}`,
+    ],
+  });
+
+  const populated = await Allocation.findById(allocation._id).populate(
+    ALLOCATION_POPULATE_FIELDS
+  );
+  res.status(200).json({
+    success: true,
+    message: 'Allocation recalled',
+    data: populated,
+  });
+});
@@ -1,14 +1,87 @@
 // controllers/asset.js
 import ErrorResponse from '../utils/ErrorResponse.js';
 import asyncHandler from '../middleware/async.js';
-import Asset from '../models/Asset.js';
+import Asset, { reserveChIds, normalizeChId } from '../models/Asset.js';
 import User from '../models/User.js';
-import Allocation from '../models/Allocation.js';
+import Allocation, {
+  ACTIVE_ALLOCATION_STATUSES,
+} from '../models/Allocation.js';
 import mongoose from 'mongoose';
 import { sendFcmToTokens } from '../utils/fcm.js';
-import sendEmail from '../utils/sendMail.js';
-
-const ASSET_POPULATE_FIELDS = [
+import {
+  gatherTokensForUserIds,
+  gatherEmailsForUserIds,
+  gatherAdminTokens,
+  gatherAdminEmails,
+  sendEmailsToRecipients,
+} from '../utils/notify.js';
+import {
+  renderQr,
+  renderBarcode,
+  renderLabelSheet,
+  resolveSheetOptions,
+  labelPayload,
+  MAX_LABELS,
+} from '../utils/labels.js';
+import { parseSpreadsheet } from '../utils/spreadsheet.js';
+import { buildImportPlan, MAX_IMPORT_ROWS } from '../utils/assetImport.js';
+import { streamExport } from '../utils/export.js';
+import AssetHistory from '../models/AssetHistory.js';
+import License from '../models/License.js';
+import {
+  diffAsset,
+  recordAssetHistory,
+  updateAssetTracked,
+} from '../utils/assetHistory.js';
+import { buildFilter, toFieldString } from '../middleware/advancedResults.js';
+import {
+  ASSET_STATES,
+  ASSET_STATE_TRANSITIONS,
+  ALLOCATABLE_STATES,
+  allowedTransitions,
+  assertTransition,
+  assertNotDisposal,
+  assertAllocatable,
+  isAllocatable,
+} from '../utils/assetLifecycle.js';
+import { withinLocationFilter, assertLocation } from '../utils/location.js';
+import {
+  BUNDLE_FIELDS,
+  assertNotAttached,
+  cascadeToComponents,
+  updateBundleTracked,
+} from '../utils/assetBundle.js';
+import { licensesByAsset, licensesForUser } from '../utils/licenses.js';
+import { bookValue } from '../utils/depreciation.js';
+import Purchase from '../models/Purchase.js';
+import DepreciationPolicy from '../models/DepreciationPolicy.js';
+import {
+  normalizeDuration,
+  requestedWindow,
+  findConflicts,
+  assertNoConflicts,
+  withBookingLock,
+  bookingSummary,
+  freeSlots,
+} from '../utils/allocationWindow.js';
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseZonedDate,
+} from '../utils/timezone.js';
+import {
+  validateCustomFields,
+  customFieldsFilter,
+  customFieldColumns,
+} from '../utils/customFields.js';
+import {
+  normalizeWarrantyInput,
+  parseSpanDays,
+  DAY_MS,
+} from '../utils/warranty.js';
+
+export const ASSET_POPULATE_FIELDS = [
+  { path: 'location', select: 'name code type' },
   { path: 'purchaser', select: 'name email role profilePhotoUrl' },
   { path: 'owner', select: 'name email role profilePhotoUrl' },
   {
@@ -21,163 +94,92 @@ const ASSET_POPULATE_FIELDS = [
   },
 ];
 
-// helper to apply consistent populate fields
-function applyAssetPopulate(query) {
-  return query.populate(ASSET_POPULATE_FIELDS);
-}
+// fields clients may filter asset lists on (see middleware/advancedResults.js)
+export const ASSET_FILTER_FIELDS = [
+  'assetState',
+  'deviceType',
+  'availablity',
+  'owner',
+  'purchaser',
+  'transferable',
+  'invoiceAvailable',
+  'location',
+  'parent',
+];
 
-/* ---------------------- Helpers ---------------------- */
+// archived assets can be purged once they have been archived this long
+const PURGE_RETENTION_DAYS =
+  Number(process.env.ASSET_PURGE_RETENTION_DAYS) || 90;
 
-/**
- * Normalize a list of user identifiers (ids, ObjectId, or populated objects with _id)
- * -> returns array of valid string ObjectId values.
- */
-function normalizeUserIds(input = []) {
-  if (!Array.isArray(input)) input = [input];
-  const ids = input
-    .map((v) => {
-      if (!v) return null;
-      // If already populated object with _id
-      if (typeof v === 'object') {
-        if (v._id) return String(v._id);
-        // If it's an ObjectId instance
-        if (
-          v.constructor &&
-          (v.constructor.name === 'ObjectID' ||
-            v.constructor.name === 'ObjectId')
-        )
-          return String(v);
-        return null;
-      }
-      return String(v);
-    })
-    .filter(Boolean);
-  return ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
-}
+// fields that only the archive/restore endpoints may change
+const ARCHIVE_FIELDS = ['deletedAt', 'deletedBy'];
 
-/**
- * Gather FCM tokens for given user ids (accepts ids or populated objects).
- * Returns deduped array of token strings.
- */
-async function gatherTokensForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-  const uniqueIds = Array.from(new Set(ids));
-  const users = await User.find({ _id: { $in: uniqueIds } })
-    .select('fcmTokens')
-    .lean();
-  const tokens = users.flatMap((u) =>
-    Array.isArray(u.fcmTokens) ? u.fcmTokens : []
-  );
-  return Array.from(new Set(tokens.filter(Boolean)));
-}
+// what the bundle view returns for each component
+const COMPONENT_SELECT =
+  'name chId serialNo model deviceType assetState availablity photoUrl';
 
 /**
- * Gather emails (and names) for given user ids (accepts ids or populated objects).
- * Returns array of { email, name } deduped.
+ * Filter that hides archived assets unless ?includeArchived=true.
  */
-async function gatherEmailsForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-  const uniqueIds = Array.from(new Set(ids));
-  const users = await User.find({ _id: { $in: uniqueIds } })
-    .select('email name')
-    .lean();
-
-  const list = users
-    .map((u) =>
-      u && u.email ? { email: String(u.email), name: u.name || '' } : null
-    )
-    .filter(Boolean);
-
-  const seen = new Set();
-  const unique = [];
-  for (const item of list) {
-    if (!seen.has(item.email)) {
-      seen.add(item.email);
-      unique.push(item);
-    }
-  }
-  return unique;
+export function archivedFilter(req) {
+  return String(req.query?.includeArchived) === 'true'
+    ? {}
+    : { deletedAt: null };
 }
 
 /**
- * Gather tokens for all admins.
+ * Base filter for asset lists: hides archived assets and supports
+ * ?withinLocation=<id> (that location and everything nested under it) and
+ * ?customFields.<key>=value.
  */
-async function gatherAdminTokens() {
-  const admins = await User.find({ role: 'admin' }).select('fcmTokens').lean();
-  const tokens = admins.flatMap((a) =>
-    Array.isArray(a.fcmTokens) ? a.fcmTokens : []
-  );
-  return Array.from(new Set(tokens.filter(Boolean)));
-}
-
-/**
- * Gather admin emails.
- */
-async function gatherAdminEmails() {
-  const admins = await User.find({ role: 'admin' }).select('email name').lean();
-  const list = admins
-    .map((a) =>
-      a && a.email ? { email: String(a.email), name: a.name || '' } : null
-    )
-    .filter(Boolean);
-  const seen = new Set();
-  const unique = [];
-  for (const item of list) {
-    if (!seen.has(item.email)) {
-      seen.add(item.email);
-      unique.push(item);
-    }
-  }
-  return unique;
+export async function assetListFilter(req) {
+  return {
+    ...archivedFilter(req),
+    ...(await withinLocationFilter(req.query?.withinLocation)),
+    ...(await customFieldsFilter(req.query)),
+  };
 }
 
-/**
- * Send emails to list of { email, name } recipients, concurrently.
- * Returns summary { sent, failed, failures }.
- */
-async function sendEmailsToRecipients(recipients = [], subject, body) {
-  if (!recipients || !recipients.length)
-    return { sent: 0, failed: 0, failures: [] };
-
-  if (typeof sendEmail !== 'function') {
-    console.error(
-      'sendEmail is not a function - check utils/sendMail.js export'
-    );
-    return {
-      sent: 0,
-      failed: recipients.length,
-      failures: recipients.map((r) => ({
-        email: r.email,
-        error: 'sendEmail missing',
-      })),
-    };
-  }
-
-  const promises = recipients.map((r) =>
-    sendEmail({ email: r.email, subject, body })
-      .then(() => ({ email: r.email, ok: true }))
-      .catch((err) => ({
-        email: r.email,
-        ok: false,
-        error: err.message || String(err),
-      }))
-  );
+// spreadsheet columns for GET /api/v1/asset/export
+const ASSET_EXPORT_COLUMNS = [
+  { header: 'Tag', value: (a) => a.chId },
+  { header: 'Name', value: (a) => a.name, width: 30 },
+  { header: 'Model', value: (a) => a.model },
+  { header: 'Serial No', value: (a) => a.serialNo },
+  { header: 'Device Type', value: (a) => a.deviceType },
+  { header: 'State', value: (a) => a.assetState },
+  { header: 'Available', value: (a) => a.availablity },
+  { header: 'Location', value: (a) => a.location?.name },
+  { header: 'Location Code', value: (a) => a.location?.code },
+  { header: 'Transferable', value: (a) => a.transferable },
+  { header: 'Warranty Start', value: (a) => a.warranty?.start },
+  { header: 'Warranty End', value: (a) => a.warranty?.end },
+  { header: 'Warranty Provider', value: (a) => a.warranty?.provider },
+  { header: 'Warranty Coverage', value: (a) => a.warranty?.coverageType },
+  { header: 'Invoice Available', value: (a) => a.invoiceAvailable },
+  { header: 'Purchased On', value: (a) => a.purchasedOn },
+  { header: 'Purchase Cost', value: (a) => a.purchaseCost },
+  { header: 'Owner Name', value: (a) => a.owner?.name },
+  { header: 'Owner Email', value: (a) => a.owner?.email, width: 30 },
+  { header: 'Purchaser Name', value: (a) => a.purchaser?.name },
+  { header: 'Purchaser Email', value: (a) => a.purchaser?.email, width: 30 },
+  { header: 'Allocated To', value: (a) => a.allocation?.allocatedTo?.name },
+  {
+    header: 'Allocated To Email',
+    value: (a) => a.allocation?.allocatedTo?.email,
+    width: 30,
+  },
+  { header: 'Allocation Status', value: (a) => a.allocation?.status },
+  { header: 'Archived At', value: (a) => a.deletedAt },
+];
 
-  const results = await Promise.allSettled(promises);
-  const failures = [];
-  let sent = 0;
-  for (const res of results) {
-    if (res.status === 'fulfilled' && res.value && res.value.ok) sent++;
-    else {
-      const info = (res.status === 'fulfilled' ? res.value : res.reason) || {};
-      failures.push(info);
-    }
-  }
-  return { sent, failed: failures.length, failures };
+// helper to apply consistent populate fields
+function applyAssetPopulate(query) {
+  return query.populate(ASSET_POPULATE_FIELDS);
 }
 
+/* ---------------------- Helpers ---------------------- */
+
 /**
  * Small helper to build an asset summary used in notifications/emails.
  * Sanitizes fields (prevents functions showing up) and avoids leaking internal DB ids.
@@ -229,12 +231,108 @@ function assetSummaryForNotify(assetDoc = {}) {
   };
 }
 
+/**
+ * Escape user input so it can be embedded in a RegExp literally.
+ */
+function escapeRegex(text = '') {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Score an asset against a search term; higher ranks first.
+ * Tag/serial hits outrank name/model hits, which outrank owner matches.
+ */
+function searchRank(asset, term, { textScore = 0, ownerIds = [] } = {}) {
+  const needle = term.toLowerCase();
+  const field = (v) => (v ? String(v).toLowerCase() : '');
+  const ids = [field(asset.chId), field(asset.serialNo)];
+  const names = [field(asset.name), field(asset.model)];
+
+  let rank = 0;
+  if (ids.some((v) => v === needle)) rank = 100;
+  else if (ids.some((v) => v.startsWith(needle))) rank = 60;
+  else if (names.some((v) => v.startsWith(needle))) rank = 40;
+  else if (ids.some((v) => v.includes(needle))) rank = 25;
+  else if (names.some((v) => v.includes(needle))) rank = 15;
+  else if (ownerIds.includes(String(asset.owner))) rank = 10;
+
+  return rank + textScore * 10;
+}
+
+/**
+ * Send FCM + email about a tag scan (check-out / check-in) to the given users.
+ */
+async function notifyTagScan(userIds, assetDoc, { title, body, type }) {
+  try {
+    const summary = assetSummaryForNotify(assetDoc);
+    const tokens = await gatherTokensForUserIds(userIds);
+    if (tokens.length) {
+      await sendFcmToTokens(tokens, { title, body }, { type, asset: summary });
+    }
+
+    const recipients = await gatherEmailsForUserIds(userIds);
+    if (recipients.length) {
+      const emailBody = `
+Hello,
+
+${body}
+
+Asset: ${summary.name}
+Model: ${summary.model}
+Serial No: ${summary.serialNo}
+Tag: ${assetDoc.chId || '—'}
+Owner: ${summary.ownerName} (${summary.ownerEmail})
+
+Regards,
+TAGit
+      `;
+      const emailRes = await sendEmailsToRecipients(
+        recipients,
+        `TAGit — ${title}`,
+        emailBody
+      );
+      if (emailRes.failed)
+        console.warn(`${type} email failures`, emailRes.failures);
+    }
+  } catch (err) {
+    console.error(`Notification error on ${type}:`, err);
+  }
+}
+
 /* ---------------------- Controllers ---------------------- */
 
 // Create Asset
 export const createAsset = asyncHandler(async (req, res, next) => {
+  const data = normalizeWarrantyInput(req.body);
+
+  // Take the cost from the linked purchase request unless given
+  if (
+    data.purchase &&
+    data.purchaseCost === undefined &&
+    mongoose.Types.ObjectId.isValid(data.purchase)
+  ) {
+    const purchase = await Purchase.findById(data.purchase).select(
+      'assetPrice'
+    );
+    if (purchase?.assetPrice !== undefined)
+      data.purchaseCost = purchase.assetPrice;
+  }
+
+  data.customFields = await validateCustomFields(
+    data.deviceType,
+    data.customFields
+  );
+  if (data.location) await assertLocation(data.location);
+
   // Create asset
-  const created = await Asset.create(req.body);
+  const created = await Asset.create(data);
+
+  await recordAssetHistory({
+    asset: created._id,
+    action: 'create',
+    actor: req.user?.id,
+    changes: diffAsset({}, created.toObject()),
+  });
 
   // Re-query populated document to ensure purchaser/owner/allocation (and nested allocatedBy/allocatedTo) are populated
   const populatedAsset = await applyAssetPopulate(Asset.findById(created._id));
@@ -321,10 +419,96 @@ TAGit
 
 // Update Asset
 export const updateAsset = asyncHandler(async (req, res, next) => {
-  const updated = await Asset.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const existing = await Asset.findById(req.params.id).select([
+    'deletedAt',
+    'purchasedOn',
+    'assetState',
+    'deviceType',
+    'customFields',
+    'parent',
+    ...BUNDLE_FIELDS,
+  ]);
+  if (existing?.deletedAt)
+    return next(
+      new ErrorResponse(
+        `Asset ${req.params.id} is archived. Restore it before editing`,
+        400
+      )
+    );
+  if (
+    existing &&
+    req.body.assetState !== undefined &&
+    req.body.assetState !== existing.assetState
+  )
+    return next(
+      new ErrorResponse(
+        `assetState cannot be edited directly. Use PUT /api/v1/asset/${req.params.id}/state with a reason`,
+        400
+      )
+    );
+  if (
+    existing &&
+    req.body.location !== undefined &&
+    String(req.body.location ?? '') !== String(existing.location ?? '')
+  )
+    return next(
+      new ErrorResponse(
+        `location cannot be edited directly. Use PUT /api/v1/asset/${req.params.id}/move`,
+        400
+      )
+    );
+
+  const update = normalizeWarrantyInput({ ...req.body }, existing?.purchasedOn);
+  ARCHIVE_FIELDS.forEach((field) => delete update[field]);
+  // components are attached through /:id/components
+  delete update.parent;
+  // written when a disposal request is approved
+  delete update.disposal;
+  delete update.bookingLockedAt;
+  // moves go through /:id/move (checked, recorded and cascaded)
+  delete update.location;
+
+  // Re-check custom fields when they or the deviceType change
+  if (
+    existing &&
+    (update.customFields !== undefined ||
+      (update.deviceType !== undefined &&
+        update.deviceType !== existing.deviceType))
+  ) {
+    const customFields = await validateCustomFields(
+      update.deviceType ?? existing.deviceType,
+      update.customFields,
+      existing.customFields
+    );
+    if (customFields) update.customFields = customFields;
+    else {
+      delete update.customFields;
+      update.$unset = { customFields: 1 };
+    }
+  }
+
+  // Attached components follow their parent's owner and availability
+  const bundleChanges = BUNDLE_FIELDS.filter(
+    (field) =>
+      update[field] !== undefined &&
+      String(update[field] ?? '') !== String(existing?.[field] ?? '')
+  );
+  if (existing?.parent && bundleChanges.length)
+    return next(
+      new ErrorResponse(
+        `${bundleChanges.join(
+          ', '
+        )} follow the parent asset. Edit the parent or detach this component first`,
+        400
+      )
+    );
+
+  const updated = await updateBundleTracked(
+    req.params.id,
+    update,
+    { action: 'update', actor: req.user?.id },
+    { runValidators: true }
+  );
 
   if (!updated)
     return next(new ErrorResponse(`Asset not found ${req.params.id}`, 404));
@@ -412,13 +596,66 @@ TAGit
   res.status(200).json({ success: true, data: populatedUpdate });
 });
 
-// Delete Asset
+/**
+ * @desc    Archive (soft delete) an asset. It disappears from listings but
+ *          keeps its allocations and history; admins can restore or purge it.
+ *          Allocated assets must be checked in first; pending requests for
+ *          the asset are rejected.
+ * @route   DELETE /api/v1/asset/:id
+ * @access  Private (admin, purchaser)
+ */
 export const deleteAsset = asyncHandler(async (req, res, next) => {
   let asset = await applyAssetPopulate(Asset.findById(req.params.id)).lean();
   if (!asset)
     return next(
       new ErrorResponse(`Asset Does not Exist ${req.params.id}`, 404)
     );
+  if (asset.deletedAt)
+    return next(
+      new ErrorResponse(`Asset ${req.params.id} is already archived`, 400)
+    );
+  if (
+    await Allocation.exists({
+      asset: asset._id,
+      status: { $in: ACTIVE_ALLOCATION_STATUSES },
+    })
+  )
+    return next(
+      new ErrorResponse(
+        `Asset ${req.params.id} is allocated. Check it in before archiving`,
+        409
+      )
+    );
+
+  const archived = await updateAssetTracked(
+    req.params.id,
+    { deletedAt: new Date(), deletedBy: req.user?.id },
+    { action: 'archive', actor: req.user?.id }
+  );
+
+  await Allocation.updateMany(
+    { asset: asset._id, status: 'pending' },
+    {
+      status: 'rejected',
+      requestStatus: false,
+      rejectionReason: 'Asset was archived',
+      allocationStatusDate: new Date(),
+    }
+  );
+
+  // Accessories of an archived asset go back to being standalone
+  const components = await Asset.find({ parent: req.params.id }).select('_id');
+  for (const component of components) {
+    await updateAssetTracked(
+      component._id,
+      { parent: null },
+      {
+        action: 'bundle:detach',
+        actor: req.user?.id,
+        note: 'Parent asset archived',
+      }
+    );
+  }
 
   try {
     const targetUserIds = [];
@@ -437,8 +674,11 @@ export const deleteAsset = asyncHandler(async (req, res, next) => {
       try {
         await sendFcmToTokens(
           allTokens,
-          { title: 'Asset Deleted', body: `${summary.name} has been deleted.` },
-          { type: 'asset:delete', asset: summary }
+          {
+            title: 'Asset Archived',
+            body: `${summary.name} has been archived.`,
+          },
+          { type: 'asset:archive', asset: summary }
         );
       } catch (err) {
         console.error('FCM error on deleteAsset:', err);
@@ -462,11 +702,11 @@ export const deleteAsset = asyncHandler(async (req, res, next) => {
     );
 
     if (allRecipientEmails.length) {
-      const subject = 'TAGit — Asset Deleted';
+      const subject = 'TAGit — Asset Archived';
       const emailBody = `
 Hello,
 
-An asset has been deleted from TAGit.
+An asset has been archived in TAGit.
 
 Asset: ${summary.name}
 Model: ${summary.model}
@@ -496,7 +736,373 @@ TAGit
     console.error('Notification error on deleteAsset:', err);
   }
 
-  await Asset.findByIdAndDelete(req.params.id);
+  res.status(200).json({ success: true, data: archived });
+});
+
+/**
+ * @desc    Restore an archived asset
+ * @route   PUT /api/v1/asset/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreAsset = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+
+  const asset = await Asset.findById(id).select('deletedAt');
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+  if (!asset.deletedAt)
+    return next(new ErrorResponse(`Asset ${id} is not archived`, 400));
+
+  await updateAssetTracked(
+    id,
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { action: 'restore', actor: req.user?.id }
+  );
+
+  const restored = await applyAssetPopulate(Asset.findById(id));
+  res.status(200).json({
+    success: true,
+    message: 'Asset restored',
+    data: restored,
+  });
+});
+
+/**
+ * @desc    Lifecycle graph: every assetState and the states it can move to
+ * @route   GET /api/v1/asset/lifecycle
+ * @access  Private
+ */
+export const getAssetLifecycle = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      states: ASSET_STATES,
+      transitions: ASSET_STATE_TRANSITIONS,
+      allocatable: ALLOCATABLE_STATES,
+    },
+  });
+});
+
+/**
+ * @desc    Move an asset to another assetState along the lifecycle graph
+ * @route   PUT /api/v1/asset/:id/state
+ * @body    { state, reason }
+ * @access  Private (admin, purchaser)
+ */
+export const transitionAssetState = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { state } = req.body;
+  const reason = String(req.body.reason ?? '').trim();
+
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+  if (!state) return next(new ErrorResponse('Please provide a state', 400));
+  if (!reason)
+    return next(
+      new ErrorResponse('Please provide a reason for the change', 400)
+    );
+
+  const asset = await Asset.findById(id).select('assetState deletedAt');
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+  if (asset.deletedAt)
+    return next(
+      new ErrorResponse(`Asset ${id} is archived. Restore it first`, 400)
+    );
+
+  assertNotDisposal(state);
+  assertTransition(asset.assetState, state);
+
+  // Only apply if nobody changed the state since we read it
+  const updated = await updateAssetTracked(
+    id,
+    { assetState: state },
+    { action: 'state', actor: req.user?.id, note: reason },
+    { filter: { assetState: asset.assetState } }
+  );
+  if (!updated)
+    return next(
+      new ErrorResponse(
+        `Asset ${id} changed state while updating. Reload and try again`,
+        409
+      )
+    );
+
+  const populated = await applyAssetPopulate(Asset.findById(id));
+  res.status(200).json({
+    success: true,
+    message: `Asset moved from ${asset.assetState} to ${state}`,
+    allowedTransitions: allowedTransitions(state),
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Booked and free periods of an asset between `from` and `to`
+ *          (default: the next 30 days), for booking calendars
+ * @route   GET /api/v1/asset/:id/availability?from=&to=&timeZone=
+ * @access  Private
+ */
+export const getAssetAvailability = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+
+  const timeZone = req.query.timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone))
+    return next(new ErrorResponse(`Unknown time zone ${timeZone}`, 400));
+
+  const from = req.query.from
+    ? parseZonedDate(req.query.from, timeZone)
+    : new Date();
+  const to = req.query.to
+    ? parseZonedDate(req.query.to, timeZone)
+    : new Date(from?.getTime() + 30 * DAY_MS);
+  if (!from || !to)
+    return next(new ErrorResponse('from and to must be valid dates', 400));
+  if (to <= from) return next(new ErrorResponse('to must be after from', 400));
+  if (to - from > 366 * DAY_MS)
+    return next(
+      new ErrorResponse('Availability can span at most 366 days', 400)
+    );
+
+  const asset = await Asset.findById(id)
+    .select('name chId assetState availablity parent deletedAt')
+    .lean();
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+
+  const booked = await findConflicts(asset._id, { start: from, end: to });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      asset,
+      // archived, attached or out-of-service assets cannot be booked at all
+      bookable: !asset.deletedAt && !asset.parent && isAllocatable(asset),
+      from,
+      to,
+      timeZone,
+      booked: booked.map(bookingSummary),
+      free: freeSlots(booked, from, to),
+    },
+  });
+});
+
+/**
+ * @desc    Move an asset to another location
+ * @route   PUT /api/v1/asset/:id/move
+ * @body    { location, note? }
+ * @access  Private (admin, purchaser)
+ */
+export const moveAsset = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+  if (!req.body.location)
+    return next(new ErrorResponse('Please provide a location', 400));
+
+  const asset = await Asset.findById(id).select('location deletedAt');
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+  if (asset.deletedAt)
+    return next(
+      new ErrorResponse(`Asset ${id} is archived. Restore it first`, 400)
+    );
+
+  const location = await assertLocation(req.body.location);
+  if (asset.location?.equals(location._id))
+    return next(new ErrorResponse(`Asset is already at ${location.name}`, 400));
+
+  await updateBundleTracked(
+    id,
+    { location: location._id },
+    { action: 'move', actor: req.user?.id, note: req.body.note }
+  );
+
+  const populated = await applyAssetPopulate(Asset.findById(id));
+  res.status(200).json({
+    success: true,
+    message: `Asset moved to ${location.name}`,
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Attach accessories/components to an asset. Components take on
+ *          the parent's owner, location and allocation from then on.
+ * @route   POST /api/v1/asset/:id/components
+ * @body    { assetIds: [id, ...] }
+ * @access  Private (admin, purchaser)
+ */
+export const attachComponents = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const assetIds = [].concat(req.body.assetIds || []).map(String);
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+  if (!assetIds.length)
+    return next(new ErrorResponse('Please provide assetIds to attach', 400));
+  const invalid = assetIds.find((a) => !mongoose.Types.ObjectId.isValid(a));
+  if (invalid)
+    return next(new ErrorResponse(`Invalid asset id ${invalid}`, 400));
+  if (assetIds.includes(id))
+    return next(new ErrorResponse('An asset cannot contain itself', 400));
+
+  const parent = await Asset.findById(id).select(
+    `name chId parent deletedAt ${BUNDLE_FIELDS.join(' ')}`
+  );
+  if (!parent) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+  if (parent.deletedAt)
+    return next(new ErrorResponse(`Asset ${id} is archived`, 400));
+  if (parent.parent)
+    return next(
+      new ErrorResponse(
+        `Asset ${parent.chId} is itself a component and cannot have components`,
+        409
+      )
+    );
+
+  const components = await Asset.find({ _id: { $in: assetIds } }).select(
+    'name chId parent deletedAt availablity allocation'
+  );
+  const missing = assetIds.find(
+    (a) => !components.some((c) => String(c._id) === a)
+  );
+  if (missing)
+    return next(new ErrorResponse(`Asset not found ${missing}`, 404));
+
+  const [nestedParents, pending] = await Promise.all([
+    Asset.distinct('parent', { parent: { $in: assetIds } }),
+    Allocation.distinct('asset', {
+      asset: { $in: assetIds },
+      status: 'pending',
+    }),
+  ]);
+
+  for (const c of components) {
+    const label = c.chId || c._id;
+    let problem;
+    if (c.deletedAt) problem = `${label} is archived`;
+    else if (c.parent && !c.parent.equals(parent._id))
+      problem = `${label} is already attached to another asset`;
+    else if (nestedParents.some((p) => p.equals(c._id)))
+      problem = `${label} has its own components`;
+    else if (pending.some((p) => p.equals(c._id)))
+      problem = `${label} has a pending allocation request`;
+    else if (
+      c.availablity === false &&
+      !(c.allocation && c.allocation.equals(parent.allocation))
+    )
+      problem = `${label} is allocated separately. Check it in first`;
+    if (problem) return next(new ErrorResponse(problem, 409));
+  }
+
+  // Components follow the parent from the moment they are attached
+  const update = { parent: parent._id };
+  for (const field of BUNDLE_FIELDS) {
+    update[field] = parent[field] ?? null;
+  }
+  for (const c of components) {
+    await updateAssetTracked(c._id, update, {
+      action: 'bundle:attach',
+      actor: req.user?.id,
+      note: `Attached to ${parent.name} (${parent.chId})`,
+    });
+  }
+
+  const attached = await Asset.find({ parent: parent._id }).select(
+    COMPONENT_SELECT
+  );
+  res.status(200).json({
+    success: true,
+    count: attached.length,
+    data: attached,
+  });
+});
+
+/**
+ * @desc    Detach a component so it can be allocated on its own again
+ * @route   DELETE /api/v1/asset/:id/components/:componentId
+ * @access  Private (admin, purchaser)
+ */
+export const detachComponent = asyncHandler(async (req, res, next) => {
+  const { id, componentId } = req.params;
+  if (
+    !mongoose.Types.ObjectId.isValid(id) ||
+    !mongoose.Types.ObjectId.isValid(componentId)
+  )
+    return next(new ErrorResponse('Invalid asset id', 400));
+
+  const component = await Asset.findOne({ _id: componentId, parent: id });
+  if (!component)
+    return next(
+      new ErrorResponse(`Asset ${componentId} is not a component of ${id}`, 404)
+    );
+
+  const parent = await Asset.findById(id).select('name chId availablity');
+  if (parent?.availablity === false)
+    return next(
+      new ErrorResponse(
+        `${parent.name} is checked out. Check the bundle in before detaching`,
+        409
+      )
+    );
+
+  await updateAssetTracked(
+    componentId,
+    { parent: null },
+    {
+      action: 'bundle:detach',
+      actor: req.user?.id,
+      note: parent
+        ? `Detached from ${parent.name} (${parent.chId})`
+        : undefined,
+    }
+  );
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Permanently delete an archived asset once the retention window
+ *          (ASSET_PURGE_RETENTION_DAYS, default 90) has passed. Allocations
+ *          and history entries are kept for audit.
+ * @route   DELETE /api/v1/asset/:id/purge
+ * @access  Private (admin)
+ */
+export const purgeAsset = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+
+  const asset = await Asset.findById(id).lean();
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+  if (!asset.deletedAt)
+    return next(
+      new ErrorResponse(`Asset ${id} must be archived before purging`, 400)
+    );
+
+  const purgeAfter = new Date(asset.deletedAt);
+  purgeAfter.setDate(purgeAfter.getDate() + PURGE_RETENTION_DAYS);
+  if (purgeAfter > new Date())
+    return next(
+      new ErrorResponse(
+        `Asset ${id} is within the ${PURGE_RETENTION_DAYS} day retention window (purgeable after ${purgeAfter.toISOString()})`,
+        400
+      )
+    );
+
+  await Asset.findByIdAndDelete(id);
+  // free any license seats the device held
+  await License.updateMany(
+    { 'assignments.asset': asset._id },
+    { $pull: { assignments: { asset: asset._id } } }
+  );
+  await recordAssetHistory({
+    asset: asset._id,
+    action: 'purge',
+    actor: req.user?.id,
+    changes: diffAsset(asset, {}),
+  });
+
   res.status(200).json({ success: true, data: {} });
 });
 
@@ -530,15 +1136,596 @@ export const getAssetListById = asyncHandler(async (req, res, next) => {
       { owner: userObjId },
       ...(allocationIds.length ? [{ allocation: { $in: allocationIds } }] : []),
     ],
+    ...archivedFilter(req),
   }).populate(ASSET_POPULATE_FIELDS);
 
-  res.status(200).json({ success: true, data: assets });
+  // Licenses installed on these assets, plus seats held by the user directly
+  const [assetLicenses, userLicenses] = await Promise.all([
+    licensesByAsset(assets.map((a) => a._id)),
+    licensesForUser(userObjId),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: assets.map((asset) => ({
+      ...asset.toObject(),
+      licenses: assetLicenses.get(String(asset._id)) || [],
+    })),
+    licenses: userLicenses,
+  });
 });
 
-// Get All Assets
+/**
+ * @desc    Get all assets (filter, sort, select, paginate)
+ * @route   GET /api/v1/asset
+ * @access  Private
+ */
 export const getAssets = asyncHandler(async (req, res, next) => {
-  const assets = await applyAssetPopulate(Asset.find()).exec();
-  res.status(200).json({ success: true, data: assets });
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Export assets as CSV or XLSX (accepts the same filters as GET /)
+ * @route   GET /api/v1/asset/export?format=csv|xlsx
+ * @access  Private (admin, purchaser)
+ */
+export const exportAssets = asyncHandler(async (req, res, next) => {
+  const filter = {
+    ...buildFilter(req.query, ASSET_FILTER_FIELDS),
+    ...(await assetListFilter(req)),
+  };
+  const query = Asset.find(filter)
+    .sort(toFieldString(req.query.sort) || '_id')
+    .populate([
+      { path: 'location', select: 'name code' },
+      { path: 'owner', select: 'name email' },
+      { path: 'purchaser', select: 'name email' },
+      {
+        path: 'allocation',
+        select: 'allocatedTo status',
+        populate: { path: 'allocatedTo', select: 'name email' },
+      },
+    ]);
+
+  await streamExport(res, {
+    query,
+    columns: [
+      ...ASSET_EXPORT_COLUMNS,
+      ...(await customFieldColumns(req.query.deviceType)),
+    ],
+    format: req.query.format || 'csv',
+    filename: 'assets',
+  });
+});
+
+/**
+ * @desc    Assets whose warranty ends within a window (default 30d)
+ * @route   GET /api/v1/asset/warranty/expiring?within=30d|12w|3m|1y&includeExpired=true
+ * @access  Private
+ */
+export const getExpiringWarranties = asyncHandler(async (req, res, next) => {
+  const within = req.query.within || '30d';
+  const days = parseSpanDays(within);
+  if (days === null)
+    return next(
+      new ErrorResponse(
+        `Invalid within "${within}". Use e.g. 30d, 12w, 3m or 1y`,
+        400
+      )
+    );
+
+  const now = new Date();
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const endFilter =
+    String(req.query.includeExpired) === 'true'
+      ? { $lte: until }
+      : { $gte: now, $lte: until };
+
+  const filter = {
+    ...buildFilter(req.query, ASSET_FILTER_FIELDS),
+    'warranty.end': endFilter,
+    deletedAt: null,
+  };
+
+  const assets = await Asset.find(filter)
+    .sort('warranty.end')
+    .populate([
+      { path: 'owner', select: 'name email role profilePhotoUrl' },
+      { path: 'purchaser', select: 'name email role profilePhotoUrl' },
+    ]);
+
+  res.status(200).json({
+    success: true,
+    count: assets.length,
+    within: { days, from: now, until },
+    data: assets,
+  });
+});
+
+/**
+ * @desc    Search assets by name, model, serial number, desc, chId or owner
+ * @route   GET /api/v1/asset/search?q=&limit=
+ * @access  Private
+ */
+export const searchAssets = asyncHandler(async (req, res, next) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return next(new ErrorResponse('Please provide a search term q', 400));
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const contains = new RegExp(escapeRegex(q), 'i');
+
+  // Owners are matched separately since name/email live on User
+  const owners = await User.find({
+    $or: [{ name: contains }, { email: contains }],
+  })
+    .select('_id')
+    .lean();
+  const ownerIds = owners.map((u) => String(u._id));
+
+  // $text handles whole words across all fields; the regex query covers
+  // prefixes and partial tags/serials that the text index cannot match
+  const [textMatches, patternMatches] = await Promise.all([
+    Asset.find(
+      { $text: { $search: q }, ...archivedFilter(req) },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean(),
+    Asset.find({
+      $or: [
+        { chId: contains },
+        { serialNo: contains },
+        { name: contains },
+        { model: contains },
+        ...(ownerIds.length ? [{ owner: { $in: ownerIds } }] : []),
+      ],
+      ...archivedFilter(req),
+    })
+      .limit(limit * 2)
+      .lean(),
+  ]);
+
+  const ranked = new Map();
+  for (const asset of [...textMatches, ...patternMatches]) {
+    const id = String(asset._id);
+    const rank = searchRank(asset, q, {
+      textScore: asset.score || 0,
+      ownerIds,
+    });
+    if (!ranked.has(id) || ranked.get(id) < rank) ranked.set(id, rank);
+  }
+
+  const ids = Array.from(ranked.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id]) => id);
+
+  const assets = await applyAssetPopulate(Asset.find({ _id: { $in: ids } }));
+  const byId = new Map(assets.map((a) => [String(a._id), a]));
+
+  res.status(200).json({
+    success: true,
+    count: ids.length,
+    data: ids.map((id) => byId.get(id)).filter(Boolean),
+  });
+});
+
+/**
+ * @desc    Get asset by its chId tag (e.g. /tag/ch/07 or /tag/ch%2F07)
+ * @route   GET /api/v1/asset/tag/:chId
+ * @access  Private
+ */
+export const getAssetByTag = asyncHandler(async (req, res, next) => {
+  const chId = normalizeChId(req.params.chId);
+  const asset = await applyAssetPopulate(
+    Asset.findOne({ chId, ...archivedFilter(req) })
+  );
+  if (!asset)
+    return next(new ErrorResponse(`Asset not found with tag ${chId}`, 404));
+
+  res.status(200).json({ success: true, data: asset });
+});
+
+/**
+ * @desc    Check out a scanned asset to a user in one call. Approves the
+ *          user's pending request for the asset if there is one, otherwise
+ *          creates an approved allocation.
+ * @route   POST /api/v1/asset/tag/checkout
+ * @body    { chId, allocatedTo, allocationType?, purpose?, duration?, location? }
+ * @access  Private (admin, purchaser)
+ */
+export const checkoutByTag = asyncHandler(async (req, res, next) => {
+  const chId = normalizeChId(req.body.chId);
+  const { allocatedTo, purpose, location } = req.body;
+  const allocationType = req.body.allocationType || 'Allocation';
+  const duration = normalizeDuration(req.body.duration);
+
+  if (!chId) return next(new ErrorResponse('Please provide a chId', 400));
+  if (!mongoose.Types.ObjectId.isValid(allocatedTo))
+    return next(new ErrorResponse(`Invalid user id ${allocatedTo}`, 400));
+  if (!(await User.exists({ _id: allocatedTo })))
+    return next(new ErrorResponse(`User not found ${allocatedTo}`, 404));
+  if (location) await assertLocation(location);
+
+  const asset = await Asset.findOne({ chId, deletedAt: null });
+  if (!asset)
+    return next(new ErrorResponse(`Asset not found with tag ${chId}`, 404));
+  assertAllocatable(asset);
+  await assertNotAttached(asset);
+  // Claim the asset atomically so two desks cannot hand out the same device
+  const claimed = await withBookingLock(asset._id, async () => {
+    await assertNoConflicts(asset._id, requestedWindow(duration), {
+      statuses: ACTIVE_ALLOCATION_STATUSES,
+    });
+    return Asset.findOneAndUpdate(
+      {
+        _id: asset._id,
+        availablity: { $ne: false },
+        assetState: { $in: ALLOCATABLE_STATES },
+      },
+      { availablity: false },
+      { new: true }
+    );
+  });
+  if (!claimed)
+    return next(new ErrorResponse(`Asset ${chId} is already checked out`, 409));
+
+  let allocation;
+  try {
+    allocation = await Allocation.findOne({
+      asset: asset._id,
+      allocatedTo,
+      status: 'pending',
+    }).sort('-createdAt');
+
+    if (!allocation) {
+      allocation = new Allocation({
+        allocatedBy: req.user.id,
+        allocatedTo,
+        asset: asset._id,
+        allocationType,
+        purpose,
+        duration,
+        location,
+      });
+    }
+
+    allocation.requestStatus = true;
+    allocation.status = 'approved';
+    allocation.approvedBy = req.user.id;
+    allocation.allocationStatusDate = new Date();
+    await allocation.save();
+  } catch (err) {
+    await Asset.findByIdAndUpdate(asset._id, {
+      availablity: asset.availablity,
+    });
+    throw err;
+  }
+
+  const updateData = { allocation: allocation._id };
+  if (allocation.allocationType === 'Owner') updateData.owner = allocatedTo;
+  if (location) updateData.location = location;
+  const final = await Asset.findByIdAndUpdate(asset._id, updateData, {
+    new: true,
+    runValidators: true,
+  });
+
+  await recordAssetHistory({
+    asset: asset._id,
+    action: 'checkout',
+    actor: req.user.id,
+    allocation: allocation._id,
+    changes: diffAsset(asset.toObject(), final.toObject()),
+  });
+  await cascadeToComponents(
+    asset._id,
+    { ...updateData, availablity: false },
+    { action: 'checkout', actor: req.user.id, allocation: allocation._id }
+  );
+
+  const populated = await applyAssetPopulate(Asset.findById(asset._id));
+
+  await notifyTagScan([allocatedTo, populated.owner], populated, {
+    title: 'Asset Checked Out',
+    body: `${populated.name} (${chId}) has been checked out to ${
+      populated.allocation?.allocatedTo?.name || 'a user'
+    }.`,
+    type: 'asset:checkout',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Asset ${chId} checked out`,
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Check in a scanned asset: completes its active allocation and
+ *          marks the asset available again.
+ * @route   POST /api/v1/asset/tag/checkin
+ * @body    { chId }
+ * @access  Private (admin, purchaser)
+ */
+export const checkinByTag = asyncHandler(async (req, res, next) => {
+  const chId = normalizeChId(req.body.chId);
+  if (!chId) return next(new ErrorResponse('Please provide a chId', 400));
+
+  const asset = await Asset.findOne({ chId });
+  if (!asset)
+    return next(new ErrorResponse(`Asset not found with tag ${chId}`, 404));
+
+  const allocation = await Allocation.findOne({
+    asset: asset._id,
+    status: { $in: ACTIVE_ALLOCATION_STATUSES },
+  }).sort('-allocationStatusDate');
+  if (!allocation)
+    return next(
+      new ErrorResponse(`Asset ${chId} is not checked out to anyone`, 409)
+    );
+
+  allocation.status = 'completed';
+  allocation.allocationStatusDate = new Date();
+  await allocation.save();
+
+  await updateBundleTracked(
+    asset._id,
+    { availablity: true },
+    { action: 'checkin', actor: req.user.id, allocation: allocation._id }
+  );
+
+  const populated = await applyAssetPopulate(Asset.findById(asset._id));
+
+  await notifyTagScan([allocation.allocatedTo, populated.owner], populated, {
+    title: 'Asset Checked In',
+    body: `${populated.name} (${chId}) has been checked in.`,
+    type: 'asset:checkin',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Asset ${chId} checked in`,
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Render a QR code or Code128 barcode for one asset
+ * @route   GET /api/v1/asset/:id/label?type=qr|barcode&format=svg|png&encode=link|chId
+ * @access  Private
+ */
+export const getAssetLabel = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { type = 'qr', format = 'svg', encode = 'link' } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+  if (!['qr', 'barcode'].includes(type))
+    return next(new ErrorResponse('type must be qr or barcode', 400));
+  if (!['svg', 'png'].includes(format))
+    return next(new ErrorResponse('format must be svg or png', 400));
+
+  const asset = await Asset.findById(id).select('chId name').lean();
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+
+  const image =
+    type === 'qr'
+      ? await renderQr(labelPayload(asset, encode), format)
+      : await renderBarcode(asset.chId || String(asset._id), format);
+
+  res
+    .status(200)
+    .type(format === 'png' ? 'image/png' : 'image/svg+xml')
+    .send(image);
+});
+
+/**
+ * Unique valid ObjectId strings from a list of ids, in the order given.
+ */
+function parseIdList(input = []) {
+  if (!Array.isArray(input)) input = [input];
+  const ids = input
+    .map((v) => String(v ?? '').trim())
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  return Array.from(new Set(ids));
+}
+
+/**
+ * @desc    Render a printable label sheet (PDF or SVG) for a batch of assets
+ * @route   POST /api/v1/asset/labels
+ * @body    { ids: [assetId] (at most MAX_LABELS), format?: 'pdf'|'svg', encode?: 'link'|'chId',
+ *            pageSize?, columns?, rows?, labelWidth?, labelHeight?, margin? }
+ *          (sizes in mm)
+ * @access  Private
+ */
+export const getLabelSheet = asyncHandler(async (req, res, next) => {
+  const { ids = [], format = 'pdf', encode = 'link' } = req.body;
+
+  const assetIds = parseIdList(ids);
+  if (!assetIds.length)
+    return next(new ErrorResponse('Please provide asset ids', 400));
+  if (assetIds.length > MAX_LABELS)
+    return next(
+      new ErrorResponse(
+        `Too many assets (${assetIds.length}). Print at most ${MAX_LABELS} labels at a time`,
+        400
+      )
+    );
+  if (!['pdf', 'svg'].includes(format))
+    return next(new ErrorResponse('format must be pdf or svg', 400));
+
+  const options = resolveSheetOptions(req.body);
+
+  const found = await Asset.find({ _id: { $in: assetIds } })
+    .select('chId name')
+    .lean();
+  // keep the order the client asked for (e.g. shipment order)
+  const byId = new Map(found.map((a) => [String(a._id), a]));
+  const assets = assetIds.map((id) => byId.get(id)).filter(Boolean);
+  if (!assets.length) return next(new ErrorResponse('No assets found', 404));
+
+  const sheet = await renderLabelSheet(assets, options, format, encode);
+
+  res
+    .status(200)
+    .type(sheet.contentType)
+    .set('Content-Disposition', `inline; filename="asset-labels.${format}"`)
+    .send(sheet.body);
+});
+
+/**
+ * @desc    Bulk import assets from a CSV/XLSX upload (multipart field "file").
+ *          Every row is validated first; nothing is written if any row
+ *          fails. With dryRun=true only the per-row report is returned.
+ * @route   POST /api/v1/asset/import?dryRun=true
+ * @body    file, mapping? (JSON: { "Sheet header": "assetField" })
+ * @access  Private (admin, purchaser)
+ */
+export const importAssets = asyncHandler(async (req, res, next) => {
+  if (!req.file)
+    return next(new ErrorResponse('Please upload a .csv or .xlsx file', 400));
+
+  const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+
+  let mapping = {};
+  if (req.body.mapping) {
+    try {
+      mapping =
+        typeof req.body.mapping === 'string'
+          ? JSON.parse(req.body.mapping)
+          : req.body.mapping;
+    } catch (err) {
+      return next(new ErrorResponse('mapping must be valid JSON', 400));
+    }
+  }
+
+  const rows = await parseSpreadsheet(req.file);
+  if (!rows.length)
+    return next(new ErrorResponse('The uploaded file has no rows', 400));
+  if (rows.length > MAX_IMPORT_ROWS)
+    return next(
+      new ErrorResponse(
+        `Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} at a time`,
+        400
+      )
+    );
+
+  const { valid, report } = await buildImportPlan(rows, mapping);
+  const summary = {
+    dryRun,
+    total: rows.length,
+    valid: valid.length,
+    invalid: rows.length - valid.length,
+    rows: report,
+  };
+
+  if (dryRun) return res.status(200).json({ success: true, data: summary });
+
+  if (summary.invalid) {
+    return res.status(422).json({
+      success: false,
+      error: `${summary.invalid} row(s) failed validation, nothing was imported`,
+      data: summary,
+    });
+  }
+
+  // insertMany skips the pre-save hook, so hand out chIds in row order here
+  const chIds = await reserveChIds(valid.length);
+  const created = await Asset.insertMany(
+    valid.map((doc, i) => ({ ...doc, chId: chIds[i] })),
+    { ordered: true }
+  );
+
+  await recordAssetHistory(
+    created.map((a) => ({
+      asset: a._id,
+      action: 'create',
+      actor: req.user?.id,
+      note: `Imported from ${req.file.originalname}`,
+      changes: diffAsset({}, a.toObject()),
+    }))
+  );
+
+  // One summary notification for the whole batch instead of one per asset
+  try {
+    const adminTokens = await gatherAdminTokens();
+    if (adminTokens.length) {
+      await sendFcmToTokens(
+        adminTokens,
+        {
+          title: 'Assets Imported',
+          body: `${created.length} assets imported (${chIds[0]} – ${
+            chIds[chIds.length - 1]
+          }).`,
+        },
+        { type: 'asset:import' }
+      );
+    }
+
+    const adminEmails = await gatherAdminEmails();
+    if (adminEmails.length) {
+      const emailBody = `
+Hello,
+
+${created.length} assets have been imported into TAGit by ${
+        req.user?.name || 'a user'
+      }.
+
+Tags: ${chIds[0]} – ${chIds[chIds.length - 1]}
+File: ${req.file.originalname}
+
+Regards,
+TAGit
+      `;
+      const emailRes = await sendEmailsToRecipients(
+        adminEmails,
+        'TAGit — Assets Imported',
+        emailBody
+      );
+      if (emailRes.failed)
+        console.warn('importAssets email failures', emailRes.failures);
+    }
+  } catch (err) {
+    console.error('Notification error on importAssets:', err);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...summary,
+      created: created.map((a) => ({
+        _id: a._id,
+        chId: a.chId,
+        name: a.name,
+        serialNo: a.serialNo,
+      })),
+    },
+  });
+});
+
+/**
+ * @desc    Get the change timeline of an asset (oldest first)
+ * @route   GET /api/v1/asset/:id/history
+ * @access  Private
+ */
+export const getAssetHistory = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+
+  const history = await AssetHistory.find({ asset: id })
+    .sort('createdAt')
+    .populate([
+      { path: 'actor', select: 'name email role profilePhotoUrl' },
+      {
+        path: 'allocation',
+        select: 'allocatedTo allocationType status',
+        populate: { path: 'allocatedTo', select: 'name email' },
+      },
+    ]);
+
+  res.status(200).json({ success: true, count: history.length, data: history });
 });
 
 /**
@@ -550,15 +1737,32 @@ export const getAssetDetailsById = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
   // Fetch asset by ID and deeply populate all related fields
-  const asset = await Asset.findById(id).populate(ASSET_POPULATE_FIELDS);
+  const asset = await Asset.findById(id).populate([
+    ...ASSET_POPULATE_FIELDS,
+    { path: 'parent', select: COMPONENT_SELECT },
+  ]);
 
   if (!asset) {
     res.status(404);
     throw new Error('Asset not found');
   }
 
+  // Bundle view: accessories that travel with this asset
+  const [components, licenses, policy] = await Promise.all([
+    Asset.find({ parent: asset._id }).select(COMPONENT_SELECT).sort('chId'),
+    licensesByAsset([asset._id]),
+    asset.deviceType
+      ? DepreciationPolicy.findOne({ deviceType: asset.deviceType }).lean()
+      : null,
+  ]);
+
   res.status(200).json({
     success: true,
-    data: asset,
+    data: {
+      ...asset.toObject(),
+      components,
+      licenses: licenses.get(String(asset._id)) || [],
+      depreciation: bookValue(asset, policy),
+    },
   });
 });
@@ -0,0 +1,409 @@
+// controllers/audit.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import AuditCampaign from '../models/AuditCampaign.js';
+import AuditItem from '../models/AuditItem.js';
+import Asset, { normalizeChId } from '../models/Asset.js';
+import { withinLocationFilter, assertLocation } from '../utils/location.js';
+import { updateAssetTracked } from '../utils/assetHistory.js';
+import { ASSET_STATES, canTransition } from '../utils/assetLifecycle.js';
+import { streamExport } from '../utils/export.js';
+
+export const CAMPAIGN_POPULATE_FIELDS = [
+  { path: 'scope.location', select: 'name code type' },
+  { path: 'scope.owner', select: 'name email' },
+  { path: 'auditors', select: 'name email' },
+  { path: 'startedBy', select: 'name email' },
+  { path: 'closedBy', select: 'name email' },
+];
+
+// fields clients may filter campaign lists on (see middleware/advancedResults.js)
+export const CAMPAIGN_FILTER_FIELDS = [
+  'status',
+  'scope.location',
+  'scope.deviceType',
+  'startedBy',
+  'createdAt',
+];
+
+export const AUDIT_ITEM_POPULATE_FIELDS = [
+  { path: 'asset', select: 'name chId serialNo deviceType assetState' },
+  { path: 'expected.location', select: 'name code' },
+  { path: 'observed.location', select: 'name code' },
+  { path: 'scannedBy', select: 'name email' },
+];
+
+export const AUDIT_ITEM_FILTER_FIELDS = ['status', 'scannedBy', 'chId'];
+
+// spreadsheet columns for GET /api/v1/audit/:id/report?format=csv|xlsx
+const AUDIT_REPORT_COLUMNS = [
+  { header: 'Tag', value: (i) => i.chId },
+  { header: 'Asset', value: (i) => i.asset?.name, width: 30 },
+  { header: 'Serial No', value: (i) => i.asset?.serialNo },
+  { header: 'Result', value: (i) => i.status },
+  { header: 'Expected Location', value: (i) => i.expected?.location?.name },
+  { header: 'Observed Location', value: (i) => i.observed?.location?.name },
+  { header: 'Expected State', value: (i) => i.expected?.assetState },
+  { header: 'Observed State', value: (i) => i.observed?.assetState },
+  { header: 'Scanned By', value: (i) => i.scannedBy?.name },
+  { header: 'Scanned At', value: (i) => i.scannedAt },
+  { header: 'Note', value: (i) => i.note, width: 40 },
+];
+
+// assets that are not expected to be on the shelf
+const RETIRED_STATES = ['Sold', 'Discarded', 'Lost'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Item counts by status -> { found: 3, missing: 1, ... }.
+ */
+async function countByStatus(campaignId) {
+  const rows = await AuditItem.aggregate([
+    { $match: { campaign: new mongoose.Types.ObjectId(String(campaignId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]));
+}
+
+async function findOpenCampaign(id) {
+  if (!isValidId(id)) throw new ErrorResponse(`Invalid campaign id ${id}`, 400);
+  const campaign = await AuditCampaign.findById(id);
+  if (!campaign) throw new ErrorResponse(`Campaign not found ${id}`, 404);
+  if (campaign.status !== 'open')
+    throw new ErrorResponse(`Campaign ${campaign.name} is closed`, 400);
+  return campaign;
+}
+
+function assertAuditor(campaign, user) {
+  if (user.role === 'admin') return;
+  if (campaign.auditors.some((a) => a.equals(user._id))) return;
+  throw new ErrorResponse(
+    `You are not an auditor on campaign ${campaign.name}`,
+    403
+  );
+}
+
+/**
+ * Classify a scan against what the records say.
+ */
+function scanResult(expected, observed) {
+  if (
+    observed.location &&
+    String(observed.location) !== String(expected.location || '')
+  )
+    return 'wrong_location';
+  if (observed.assetState && observed.assetState !== expected.assetState)
+    return 'wrong_state';
+  return 'found';
+}
+
+/**
+ * @desc    Start an audit campaign and snapshot the expected asset list
+ * @route   POST /api/v1/audit
+ * @body    { name, scope?: { location?, deviceType?, owner? }, auditors? }
+ * @access  Private (admin)
+ */
+export const createCampaign = asyncHandler(async (req, res, next) => {
+  const scope = req.body.scope || {};
+  if (scope.location) await assertLocation(scope.location);
+  if (scope.owner && !isValidId(scope.owner))
+    return next(new ErrorResponse(`Invalid owner id ${scope.owner}`, 400));
+
+  const campaign = await AuditCampaign.create({
+    name: req.body.name,
+    scope: {
+      location: scope.location,
+      deviceType: scope.deviceType,
+      owner: scope.owner,
+    },
+    auditors: req.body.auditors,
+    startedBy: req.user.id,
+  });
+
+  const assets = await Asset.find({
+    ...(await withinLocationFilter(scope.location)),
+    ...(scope.deviceType && { deviceType: scope.deviceType }),
+    ...(scope.owner && { owner: scope.owner }),
+    deletedAt: null,
+    assetState: { $nin: RETIRED_STATES },
+  })
+    .select('chId location assetState owner')
+    .lean();
+
+  await AuditItem.insertMany(
+    assets.map((a) => ({
+      campaign: campaign._id,
+      asset: a._id,
+      chId: a.chId,
+      expected: {
+        location: a.location,
+        assetState: a.assetState,
+        owner: a.owner,
+      },
+    }))
+  );
+  campaign.expectedCount = assets.length;
+  await campaign.save();
+
+  const populated = await AuditCampaign.findById(campaign._id).populate(
+    CAMPAIGN_POPULATE_FIELDS
+  );
+  res.status(201).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    List campaigns
+ * @route   GET /api/v1/audit
+ * @access  Private
+ */
+export const getCampaigns = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get a campaign with live progress counts
+ * @route   GET /api/v1/audit/:id
+ * @access  Private
+ */
+export const getCampaign = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid campaign id ${id}`, 400));
+
+  const campaign = await AuditCampaign.findById(id).populate(
+    CAMPAIGN_POPULATE_FIELDS
+  );
+  if (!campaign)
+    return next(new ErrorResponse(`Campaign not found ${id}`, 404));
+
+  res.status(200).json({
+    success: true,
+    data: { ...campaign.toObject(), progress: await countByStatus(id) },
+  });
+});
+
+/**
+ * Base filter for GET /:id/items.
+ */
+export function campaignItemsFilter(req) {
+  if (!isValidId(req.params.id))
+    throw new ErrorResponse(`Invalid campaign id ${req.params.id}`, 400);
+  return { campaign: req.params.id };
+}
+
+/**
+ * @desc    Items of a campaign (?status=pending for what is left to scan)
+ * @route   GET /api/v1/audit/:id/items
+ * @access  Private
+ */
+export const getCampaignItems = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Record a scanned asset
+ * @route   POST /api/v1/audit/:id/scan
+ * @body    { chId, location?, assetState?, note? }
+ * @access  Private (admin or campaign auditor)
+ */
+export const scanAsset = asyncHandler(async (req, res, next) => {
+  const campaign = await findOpenCampaign(req.params.id);
+  assertAuditor(campaign, req.user);
+
+  const chId = normalizeChId(req.body.chId);
+  if (!chId) return next(new ErrorResponse('Please provide a chId', 400));
+
+  const observed = {};
+  if (req.body.location) {
+    await assertLocation(req.body.location);
+    observed.location = req.body.location;
+  }
+  if (req.body.assetState) {
+    if (!ASSET_STATES.includes(req.body.assetState))
+      return next(
+        new ErrorResponse(`Invalid assetState ${req.body.assetState}`, 400)
+      );
+    observed.assetState = req.body.assetState;
+  }
+
+  const asset = await Asset.findOne({ chId, deletedAt: null }).select(
+    'chId location assetState owner'
+  );
+  if (!asset)
+    return next(new ErrorResponse(`Asset not found with tag ${chId}`, 404));
+
+  let item = await AuditItem.findOne({
+    campaign: campaign._id,
+    asset: asset._id,
+  });
+  if (!item) {
+    item = new AuditItem({
+      campaign: campaign._id,
+      asset: asset._id,
+      chId: asset.chId,
+      expected: {
+        location: asset.location,
+        assetState: asset.assetState,
+        owner: asset.owner,
+      },
+    });
+  }
+
+  item.observed = observed;
+  // assets outside the campaign's scope stay unexpected on rescans
+  item.status =
+    item.isNew || item.status === 'unexpected'
+      ? 'unexpected'
+      : scanResult(item.expected, observed);
+  item.scannedBy = req.user.id;
+  item.scannedAt = new Date();
+  if (req.body.note !== undefined) item.note = req.body.note;
+  await item.save();
+
+  const populated = await AuditItem.findById(item._id).populate(
+    AUDIT_ITEM_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    Mark an item by hand (e.g. "missing" after a search)
+ * @route   PUT /api/v1/audit/:id/items/:itemId
+ * @body    { status, note? }
+ * @access  Private (admin or campaign auditor)
+ */
+export const updateCampaignItem = asyncHandler(async (req, res, next) => {
+  const campaign = await findOpenCampaign(req.params.id);
+  assertAuditor(campaign, req.user);
+
+  const { itemId } = req.params;
+  if (!isValidId(itemId))
+    return next(new ErrorResponse(`Invalid item id ${itemId}`, 400));
+
+  const item = await AuditItem.findOne({
+    _id: itemId,
+    campaign: campaign._id,
+  });
+  if (!item)
+    return next(
+      new ErrorResponse(`Item ${itemId} is not part of this campaign`, 404)
+    );
+
+  if (req.body.status !== undefined) item.status = req.body.status;
+  if (req.body.note !== undefined) item.note = req.body.note;
+  item.scannedBy = req.user.id;
+  item.scannedAt = new Date();
+  await item.save();
+
+  const populated = await AuditItem.findById(item._id).populate(
+    AUDIT_ITEM_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    Close a campaign: unscanned assets become "missing" and, with
+ *          markMissingLost, are moved to assetState "Lost"
+ * @route   PUT /api/v1/audit/:id/close
+ * @body    { markMissingLost? }
+ * @access  Private (admin)
+ */
+export const closeCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await findOpenCampaign(req.params.id);
+
+  await AuditItem.updateMany(
+    { campaign: campaign._id, status: 'pending' },
+    { status: 'missing' }
+  );
+
+  let markedLost = 0;
+  const skipped = [];
+  if (req.body.markMissingLost === true) {
+    const missing = await AuditItem.find({
+      campaign: campaign._id,
+      status: 'missing',
+    }).select('asset chId');
+    const assets = await Asset.find({
+      _id: { $in: missing.map((i) => i.asset) },
+    }).select('chId assetState');
+
+    for (const asset of assets) {
+      if (!canTransition(asset.assetState, 'Lost')) {
+        skipped.push({ chId: asset.chId, assetState: asset.assetState });
+        continue;
+      }
+      const updated = await updateAssetTracked(
+        asset._id,
+        { assetState: 'Lost' },
+        {
+          action: 'audit',
+          actor: req.user.id,
+          note: `Not found in audit "${campaign.name}"`,
+        },
+        { filter: { assetState: asset.assetState } }
+      );
+      if (updated) markedLost++;
+    }
+  }
+
+  campaign.status = 'closed';
+  campaign.summary = await countByStatus(campaign._id);
+  campaign.markedLost = markedLost;
+  campaign.closedAt = new Date();
+  campaign.closedBy = req.user.id;
+  await campaign.save();
+
+  const populated = await AuditCampaign.findById(campaign._id).populate(
+    CAMPAIGN_POPULATE_FIELDS
+  );
+  res.status(200).json({
+    success: true,
+    ...(skipped.length && {
+      message: `${skipped.length} missing assets could not be moved to Lost`,
+      skipped,
+    }),
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Discrepancy report: every item that was not simply found
+ * @route   GET /api/v1/audit/:id/report?format=json|csv|xlsx
+ * @access  Private (admin, purchaser)
+ */
+export const getCampaignReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid campaign id ${id}`, 400));
+
+  const campaign = await AuditCampaign.findById(id).select(
+    'name status expectedCount summary markedLost closedAt'
+  );
+  if (!campaign)
+    return next(new ErrorResponse(`Campaign not found ${id}`, 404));
+
+  const query = AuditItem.find({ campaign: id, status: { $ne: 'found' } })
+    .sort('status chId')
+    .populate(AUDIT_ITEM_POPULATE_FIELDS);
+
+  const format = req.query.format || 'json';
+  if (format !== 'json')
+    return streamExport(res, {
+      query,
+      columns: AUDIT_REPORT_COLUMNS,
+      format,
+      filename: `audit-${campaign._id}`,
+    });
+
+  const items = await query;
+  res.status(200).json({
+    success: true,
+    campaign,
+    summary:
+      campaign.status === 'closed' ? campaign.summary : await countByStatus(id),
+    count: items.length,
+    data: items,
+  });
+});
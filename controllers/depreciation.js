@@ -0,0 +1,247 @@
+// controllers/depreciation.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import Asset from '../models/Asset.js';
+import DepreciationPolicy from '../models/DepreciationPolicy.js';
+import { buildFilter } from '../middleware/advancedResults.js';
+import { ASSET_FILTER_FIELDS, assetListFilter } from './asset.js';
+import {
+  bookValue,
+  depreciationSchedule,
+  policiesByDeviceType,
+} from '../utils/depreciation.js';
+import { parseDate } from '../utils/warranty.js';
+import { streamExport } from '../utils/export.js';
+
+const POLICY_FIELDS = [
+  'deviceType',
+  'method',
+  'usefulLifeMonths',
+  'salvagePercent',
+  'annualRatePercent',
+];
+
+// spreadsheet columns for GET /api/v1/depreciation/report
+const REPORT_COLUMNS = [
+  { header: 'Tag', value: (r) => r.chId },
+  { header: 'Name', value: (r) => r.name, width: 30 },
+  { header: 'Serial No', value: (r) => r.serialNo },
+  { header: 'Device Type', value: (r) => r.deviceType },
+  { header: 'Purchased On', value: (r) => r.purchasedOn },
+  { header: 'Cost', value: (r) => r.cost },
+  { header: 'Method', value: (r) => r.method },
+  { header: 'Useful Life (months)', value: (r) => r.usefulLifeMonths },
+  { header: 'Salvage %', value: (r) => r.salvagePercent },
+  { header: 'Months In Service', value: (r) => r.monthsInService },
+  { header: 'Accumulated Depreciation', value: (r) => r.accumulated },
+  { header: 'Book Value', value: (r) => r.bookValue },
+  { header: 'Fully Depreciated', value: (r) => r.fullyDepreciated },
+  { header: 'Note', value: (r) => r.note, width: 30 },
+];
+
+// spreadsheet columns for GET /api/v1/depreciation/asset/:id
+const SCHEDULE_COLUMNS = [
+  { header: 'Year', value: (r) => r.year },
+  { header: 'From', value: (r) => r.from },
+  { header: 'To', value: (r) => r.to },
+  { header: 'Opening Value', value: (r) => r.opening },
+  { header: 'Depreciation', value: (r) => r.depreciation },
+  { header: 'Closing Value', value: (r) => r.closing },
+  { header: 'Accumulated', value: (r) => r.accumulated },
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+function pickPolicyFields(body = {}) {
+  const fields = {};
+  for (const key of POLICY_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+function parseAsOf(value) {
+  if (!value) return new Date();
+  const date = parseDate(value);
+  if (!date) throw new ErrorResponse(`Invalid asOf date ${value}`, 400);
+  return date;
+}
+
+/**
+ * One report row per asset; assets that cannot be valued say why.
+ */
+function reportRow(asset, policy, asOf) {
+  const value = bookValue(asset, policy, asOf);
+  let note;
+  if (!value) {
+    if (!policy)
+      note = `No depreciation policy for "${asset.deviceType || '-'}"`;
+    else if (asset.purchaseCost === undefined || asset.purchaseCost === null)
+      note = 'No purchase cost';
+    else note = 'No valid purchase date';
+  }
+  return {
+    _id: asset._id,
+    chId: asset.chId,
+    name: asset.name,
+    serialNo: asset.serialNo,
+    deviceType: asset.deviceType,
+    purchasedOn: asset.purchasedOn,
+    cost: asset.purchaseCost,
+    method: policy?.method,
+    usefulLifeMonths: policy?.usefulLifeMonths,
+    salvagePercent: policy?.salvagePercent,
+    monthsInService: value?.monthsInService,
+    accumulated: value?.accumulated,
+    bookValue: value?.bookValue,
+    fullyDepreciated: value?.fullyDepreciated,
+    note,
+  };
+}
+
+/**
+ * @desc    Create a depreciation policy for a deviceType
+ * @route   POST /api/v1/depreciation/policies
+ * @access  Private (admin)
+ */
+export const createPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await DepreciationPolicy.create(pickPolicyFields(req.body));
+  res.status(201).json({ success: true, data: policy });
+});
+
+/**
+ * @desc    List depreciation policies
+ * @route   GET /api/v1/depreciation/policies
+ * @access  Private
+ */
+export const getPolicies = asyncHandler(async (req, res, next) => {
+  const policies = await DepreciationPolicy.find().sort('deviceType');
+  res
+    .status(200)
+    .json({ success: true, count: policies.length, data: policies });
+});
+
+/**
+ * @desc    Update a depreciation policy
+ * @route   PUT /api/v1/depreciation/policies/:id
+ * @access  Private (admin)
+ */
+export const updatePolicy = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid policy id ${id}`, 400));
+
+  const policy = await DepreciationPolicy.findByIdAndUpdate(
+    id,
+    pickPolicyFields(req.body),
+    { new: true, runValidators: true }
+  );
+  if (!policy) return next(new ErrorResponse(`Policy not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: policy });
+});
+
+/**
+ * @desc    Delete a depreciation policy
+ * @route   DELETE /api/v1/depreciation/policies/:id
+ * @access  Private (admin)
+ */
+export const deletePolicy = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid policy id ${id}`, 400));
+
+  const policy = await DepreciationPolicy.findByIdAndDelete(id);
+  if (!policy) return next(new ErrorResponse(`Policy not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Book value of every asset on a date (accepts the asset list
+ *          filters, e.g. ?deviceType=Laptop&withinLocation=<id>)
+ * @route   GET /api/v1/depreciation/report?asOf=2025-03-31&format=json|csv|xlsx
+ * @access  Private (admin, purchaser)
+ */
+export const getDepreciationReport = asyncHandler(async (req, res, next) => {
+  const asOf = parseAsOf(req.query.asOf);
+  const filter = {
+    ...buildFilter(req.query, ASSET_FILTER_FIELDS),
+    ...(await assetListFilter(req)),
+  };
+
+  const [assets, policies] = await Promise.all([
+    Asset.find(filter)
+      .select('chId name serialNo deviceType purchasedOn purchaseCost')
+      .sort('chId')
+      .lean(),
+    policiesByDeviceType(),
+  ]);
+  const rows = assets.map((a) =>
+    reportRow(a, policies.get(a.deviceType), asOf)
+  );
+
+  const format = req.query.format || 'json';
+  if (format !== 'json')
+    return streamExport(res, {
+      rows,
+      columns: REPORT_COLUMNS,
+      format,
+      filename: `depreciation-${asOf.toISOString().slice(0, 10)}`,
+    });
+
+  const valued = rows.filter((r) => r.bookValue !== undefined);
+  const sum = (key) =>
+    Math.round(valued.reduce((total, r) => total + r[key], 0) * 100) / 100;
+
+  res.status(200).json({
+    success: true,
+    asOf,
+    count: rows.length,
+    totals: {
+      valued: valued.length,
+      cost: sum('cost'),
+      accumulated: sum('accumulated'),
+      bookValue: sum('bookValue'),
+    },
+    data: rows,
+  });
+});
+
+/**
+ * @desc    Year-by-year depreciation schedule of one asset
+ * @route   GET /api/v1/depreciation/asset/:id?format=json|csv|xlsx
+ * @access  Private
+ */
+export const getAssetSchedule = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid asset id ${id}`, 400));
+
+  const asset = await Asset.findById(id)
+    .select('chId name deviceType purchasedOn purchaseCost')
+    .lean();
+  if (!asset) return next(new ErrorResponse(`Asset not found ${id}`, 404));
+
+  const policy = asset.deviceType
+    ? await DepreciationPolicy.findOne({ deviceType: asset.deviceType }).lean()
+    : null;
+  const current = reportRow(asset, policy, new Date());
+  if (current.note) return next(new ErrorResponse(current.note, 400));
+
+  const schedule = depreciationSchedule(asset, policy);
+  const format = req.query.format || 'json';
+  if (format !== 'json')
+    return streamExport(res, {
+      rows: schedule,
+      columns: SCHEDULE_COLUMNS,
+      format,
+      filename: `depreciation-${asset.chId || asset._id}`.replace(/\//g, '-'),
+    });
+
+  res.status(200).json({
+    success: true,
+    data: { asset, policy, current, schedule },
+  });
+});
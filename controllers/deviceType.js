@@ -0,0 +1,116 @@
+// controllers/deviceType.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import DeviceType from '../models/DeviceType.js';
+import Asset from '../models/Asset.js';
+
+// fields clients may filter deviceType lists on (see middleware/advancedResults.js)
+export const DEVICE_TYPE_FILTER_FIELDS = ['name', 'fields.key', 'fields.type'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * @desc    Define custom asset fields for a deviceType
+ * @route   POST /api/v1/devicetype
+ * @body    { name, fields: [{ key, label?, type, required?, options? }] }
+ * @access  Private (admin)
+ */
+export const createDeviceType = asyncHandler(async (req, res, next) => {
+  const { name, fields } = req.body;
+  const deviceType = await DeviceType.create({ name, fields });
+  res.status(201).json({ success: true, data: deviceType });
+});
+
+/**
+ * @desc    List deviceTypes and their custom fields
+ * @route   GET /api/v1/devicetype
+ * @access  Private
+ */
+export const getDeviceTypes = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get one deviceType
+ * @route   GET /api/v1/devicetype/:id
+ * @access  Private
+ */
+export const getDeviceType = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid deviceType id ${id}`, 400));
+
+  const deviceType = await DeviceType.findById(id);
+  if (!deviceType)
+    return next(new ErrorResponse(`DeviceType not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: deviceType });
+});
+
+/**
+ * @desc    Update a deviceType's custom fields. Existing asset values are
+ *          checked against the new fields the next time the asset is edited.
+ * @route   PUT /api/v1/devicetype/:id
+ * @body    { name?, fields? }
+ * @access  Private (admin)
+ */
+export const updateDeviceType = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid deviceType id ${id}`, 400));
+
+  const deviceType = await DeviceType.findById(id);
+  if (!deviceType)
+    return next(new ErrorResponse(`DeviceType not found ${id}`, 404));
+
+  const { name, fields } = req.body;
+  // assets refer to their deviceType by name
+  if (
+    name !== undefined &&
+    name !== deviceType.name &&
+    (await Asset.exists({ deviceType: deviceType.name }))
+  )
+    return next(
+      new ErrorResponse(
+        `Assets use deviceType "${deviceType.name}", so it cannot be renamed`,
+        409
+      )
+    );
+
+  if (name !== undefined) deviceType.name = name;
+  if (fields !== undefined) deviceType.fields = fields;
+  await deviceType.save();
+
+  res.status(200).json({ success: true, data: deviceType });
+});
+
+/**
+ * @desc    Delete a deviceType's custom field schema
+ * @route   DELETE /api/v1/devicetype/:id
+ * @access  Private (admin)
+ */
+export const deleteDeviceType = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid deviceType id ${id}`, 400));
+
+  const deviceType = await DeviceType.findById(id);
+  if (!deviceType)
+    return next(new ErrorResponse(`DeviceType not found ${id}`, 404));
+
+  const inUse = await Asset.countDocuments({
+    deviceType: deviceType.name,
+    customFields: { $exists: true },
+  });
+  if (inUse)
+    return next(
+      new ErrorResponse(
+        `${inUse} asset(s) of type "${deviceType.name}" have custom field values`,
+        409
+      )
+    );
+
+  await deviceType.deleteOne();
+  res.status(200).json({ success: true, data: {} });
+});
@@ -0,0 +1,439 @@
+// controllers/disposal.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import DisposalRequest, { disposalState } from '../models/DisposalRequest.js';
+import Asset, { Counter } from '../models/Asset.js';
+import Allocation, {
+  ACTIVE_ALLOCATION_STATUSES,
+} from '../models/Allocation.js';
+import License from '../models/License.js';
+import { updateAssetTracked } from '../utils/assetHistory.js';
+import { assertTransition } from '../utils/assetLifecycle.js';
+import { notifyUsers } from '../utils/notify.js';
+
+export const DISPOSAL_POPULATE_FIELDS = [
+  { path: 'asset', select: 'name chId serialNo assetState owner photoUrl' },
+  { path: 'requestedBy', select: 'name email role' },
+  { path: 'reviewedBy', select: 'name email role' },
+  { path: 'dataWipe.confirmedBy', select: 'name email role' },
+];
+
+// fields clients may filter disposal lists on (see middleware/advancedResults.js)
+export const DISPOSAL_FILTER_FIELDS = [
+  'asset',
+  'method',
+  'status',
+  'requestedBy',
+  'reviewedBy',
+  'dataWipe.confirmed',
+  'certificate.number',
+  'createdAt',
+  'reviewedAt',
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Next disposal certificate number, e.g. "DSP-2025-0007".
+ */
+async function nextCertificateNumber(date = new Date()) {
+  const counter = await Counter.findByIdAndUpdate(
+    { _id: 'disposal' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return `DSP-${date.getUTCFullYear()}-${String(counter.seq).padStart(4, '0')}`;
+}
+
+async function findPendingRequest(id) {
+  if (!isValidId(id))
+    throw new ErrorResponse(`Invalid disposal request id ${id}`, 400);
+  const request = await DisposalRequest.findById(id);
+  if (!request)
+    throw new ErrorResponse(`Disposal request not found ${id}`, 404);
+  if (request.status !== 'pending')
+    throw new ErrorResponse(
+      `Disposal request ${id} is already ${request.status}`,
+      409
+    );
+  return request;
+}
+
+/**
+ * Push + email the requester (and anyone else given) about a request.
+ * Never throws.
+ */
+async function notifyDisposal(
+  request,
+  asset,
+  { title, body, userIds = [], includeAdmins }
+) {
+  const label = asset.chId ? `${asset.name} (${asset.chId})` : asset.name;
+  await notifyUsers({
+    userIds: [request.requestedBy, ...userIds],
+    includeAdmins,
+    title,
+    body,
+    data: {
+      type: 'disposal',
+      requestId: String(request._id),
+      assetId: String(asset._id),
+      status: request.status,
+    },
+    emailBody: [
+      'Hello,',
+      '',
+      body,
+      '',
+      `Asset: ${label}`,
+      `Method: ${request.method}`,
+      `Reason: ${request.reason}`,
+      ...(request.method === 'sale'
+        ? [`Sale: ${request.salePrice} to ${request.buyer?.name}`]
+        : []),
+      `Data wipe: ${
+        !request.dataWipe?.required
+          ? 'not required'
+          : request.dataWipe.confirmed
+          ? 'confirmed'
+          : 'not confirmed yet'
+      }`,
+      ...(request.certificate?.number
+        ? [`Certificate: ${request.certificate.number}`]
+        : []),
+      ...(request.reviewNote ? [`Note: ${request.reviewNote}`] : []),
+      '',
+      'Regards,',
+      'TAGit',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Close every open allocation of a disposed asset: approved/overdue ones
+ * are completed and pending requests rejected. Returns the affected allocations.
+ */
+async function endOpenAllocations(assetId) {
+  const allocations = await Allocation.find({
+    asset: assetId,
+    status: { $in: ['pending', ...ACTIVE_ALLOCATION_STATUSES] },
+  });
+  const now = new Date();
+  for (const allocation of allocations) {
+    if (allocation.status === 'pending') {
+      allocation.status = 'rejected';
+      allocation.requestStatus = false;
+      allocation.rejectionReason = 'Asset was disposed of';
+    } else {
+      allocation.status = 'completed';
+    }
+    allocation.allocationStatusDate = now;
+    await allocation.save();
+  }
+  return allocations;
+}
+
+/**
+ * @desc    Request disposal of an asset. The asset only moves to "Sold" /
+ *          "Discarded" once an admin approves the request.
+ * @route   POST /api/v1/disposal
+ * @body    { asset, method, reason, salePrice?, buyer?: { name, contact },
+ *            dataWipe?: { required?, confirmed?, method?, reference? } }
+ * @access  Private (admin, purchaser)
+ */
+export const createDisposal = asyncHandler(async (req, res, next) => {
+  const { asset: assetId, method, reason, salePrice, buyer } = req.body;
+  if (!isValidId(assetId))
+    return next(new ErrorResponse(`Invalid asset id ${assetId}`, 400));
+
+  const asset = await Asset.findById(assetId).select(
+    'name chId assetState owner parent deletedAt'
+  );
+  if (!asset) return next(new ErrorResponse(`Asset not found ${assetId}`, 404));
+  if (asset.deletedAt)
+    return next(
+      new ErrorResponse(`Asset ${assetId} is archived. Restore it first`, 400)
+    );
+  if (asset.parent)
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId} is attached to another asset. Detach it first`,
+        409
+      )
+    );
+  if (await Asset.exists({ parent: asset._id }))
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId} has components attached. Detach them first`,
+        409
+      )
+    );
+  if (method) assertTransition(asset.assetState, disposalState(method));
+
+  if (await DisposalRequest.exists({ asset: asset._id, status: 'pending' }))
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId} already has a pending disposal request`,
+        409
+      )
+    );
+
+  const wipe = req.body.dataWipe || {};
+  const dataWipe = {
+    required: wipe.required !== false,
+    confirmed: !!wipe.confirmed,
+    method: wipe.method,
+    reference: wipe.reference,
+  };
+  if (dataWipe.confirmed) {
+    dataWipe.confirmedBy = req.user.id;
+    dataWipe.confirmedAt = new Date();
+  }
+
+  const request = await DisposalRequest.create({
+    asset: asset._id,
+    requestedBy: req.user.id,
+    method,
+    reason,
+    salePrice,
+    buyer,
+    dataWipe,
+    previousState: asset.assetState,
+  });
+
+  await notifyDisposal(request, asset, {
+    title: 'Disposal requested',
+    body: `${asset.name} was put forward for disposal (${method})`,
+    includeAdmins: true,
+  });
+
+  const populated = await DisposalRequest.findById(request._id).populate(
+    DISPOSAL_POPULATE_FIELDS
+  );
+  res.status(201).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    List disposal requests
+ * @route   GET /api/v1/disposal
+ * @access  Private (admin, purchaser)
+ */
+export const getDisposals = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get one disposal request
+ * @route   GET /api/v1/disposal/:id
+ * @access  Private (admin, purchaser)
+ */
+export const getDisposal = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid disposal request id ${id}`, 400));
+
+  const request = await DisposalRequest.findById(id).populate(
+    DISPOSAL_POPULATE_FIELDS
+  );
+  if (!request)
+    return next(new ErrorResponse(`Disposal request not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: request });
+});
+
+/**
+ * @desc    Confirm the device's storage was wiped
+ * @route   PUT /api/v1/disposal/:id/wipe
+ * @body    { method, reference? }
+ * @access  Private (admin, purchaser)
+ */
+export const confirmDataWipe = asyncHandler(async (req, res, next) => {
+  const request = await findPendingRequest(req.params.id);
+
+  const method = String(req.body.method ?? '').trim();
+  if (!method)
+    return next(new ErrorResponse('Please provide the wipe method', 400));
+
+  request.dataWipe = {
+    ...request.dataWipe.toObject(),
+    confirmed: true,
+    method,
+    reference: req.body.reference,
+    confirmedBy: req.user.id,
+    confirmedAt: new Date(),
+  };
+  await request.save();
+
+  const populated = await DisposalRequest.findById(request._id).populate(
+    DISPOSAL_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    Approve a disposal: moves the asset to "Sold" / "Discarded",
+ *          ends its open allocations and license seats, and records the
+ *          disposal certificate on the asset
+ * @route   PUT /api/v1/disposal/:id/approve
+ * @body    { certificateUrl?, note? }
+ * @access  Private (admin)
+ */
+export const approveDisposal = asyncHandler(async (req, res, next) => {
+  const request = await findPendingRequest(req.params.id);
+  if (request.dataWipe?.required && !request.dataWipe.confirmed)
+    return next(
+      new ErrorResponse(
+        'Confirm the data wipe (PUT /api/v1/disposal/:id/wipe) before approving',
+        409
+      )
+    );
+
+  const asset = await Asset.findById(request.asset).select(
+    'name chId assetState owner deletedAt'
+  );
+  if (!asset)
+    return next(new ErrorResponse(`Asset not found ${request.asset}`, 404));
+  if (asset.deletedAt)
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId} is archived. Restore it first`,
+        400
+      )
+    );
+  assertTransition(asset.assetState, request.targetState);
+
+  // Claim the request so two admins cannot approve it twice
+  const now = new Date();
+  const claimed = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    {
+      status: 'approved',
+      reviewedBy: req.user.id,
+      reviewedAt: now,
+      reviewNote: req.body.note,
+    },
+    { new: true }
+  );
+  if (!claimed)
+    return next(
+      new ErrorResponse(
+        `Disposal request ${request._id} was just reviewed`,
+        409
+      )
+    );
+
+  const certificate = {
+    number: await nextCertificateNumber(now),
+    url: req.body.certificateUrl,
+    issuedAt: now,
+  };
+
+  // Only apply if nobody changed the asset's state since we read it
+  const updated = await updateAssetTracked(
+    asset._id,
+    {
+      assetState: request.targetState,
+      availablity: false,
+      allocation: null,
+      disposal: {
+        request: request._id,
+        method: request.method,
+        disposedAt: now,
+        salePrice: request.salePrice,
+        buyer: request.buyer?.name,
+        certificateNumber: certificate.number,
+        certificateUrl: certificate.url,
+        approvedBy: req.user.id,
+      },
+    },
+    { action: 'dispose', actor: req.user.id, note: request.reason },
+    { filter: { assetState: asset.assetState } }
+  );
+  if (!updated) {
+    await DisposalRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId} changed state while approving. Reload and try again`,
+        409
+      )
+    );
+  }
+
+  const allocations = await endOpenAllocations(asset._id);
+  // free any license seats the device held
+  await License.updateMany(
+    { 'assignments.asset': asset._id },
+    { $pull: { assignments: { asset: asset._id } } }
+  );
+
+  claimed.certificate = certificate;
+  claimed.endedAllocations = allocations.map((a) => a._id);
+  await claimed.save();
+
+  await notifyDisposal(claimed, asset, {
+    title: 'Disposal approved',
+    body: `${asset.name} is now "${request.targetState}" (certificate ${certificate.number})`,
+    userIds: [asset.owner, ...allocations.map((a) => a.allocatedTo)],
+  });
+
+  const populated = await DisposalRequest.findById(request._id).populate(
+    DISPOSAL_POPULATE_FIELDS
+  );
+  res.status(200).json({
+    success: true,
+    message: `Asset ${asset.chId} disposed of (${request.targetState})`,
+    data: populated,
+  });
+});
+
+/**
+ * @desc    Reject a disposal request; the asset stays as it is
+ * @route   PUT /api/v1/disposal/:id/reject
+ * @body    { reason }
+ * @access  Private (admin)
+ */
+export const rejectDisposal = asyncHandler(async (req, res, next) => {
+  const request = await findPendingRequest(req.params.id);
+
+  const reason = String(req.body.reason ?? '').trim();
+  if (!reason)
+    return next(new ErrorResponse('Please provide a rejection reason', 400));
+
+  request.status = 'rejected';
+  request.reviewedBy = req.user.id;
+  request.reviewedAt = new Date();
+  request.reviewNote = reason;
+  await request.save();
+
+  const asset = await Asset.findById(request.asset).select('name chId');
+  if (asset)
+    await notifyDisposal(request, asset, {
+      title: 'Disposal rejected',
+      body: `Disposal of ${asset.name} was rejected`,
+    });
+
+  res.status(200).json({ success: true, data: request });
+});
+
+/**
+ * @desc    Withdraw a pending disposal request
+ * @route   PUT /api/v1/disposal/:id/cancel
+ * @access  Private (requester, admin)
+ */
+export const cancelDisposal = asyncHandler(async (req, res, next) => {
+  const request = await findPendingRequest(req.params.id);
+  if (req.user.role !== 'admin' && !request.requestedBy.equals(req.user._id))
+    return next(
+      new ErrorResponse('Only the requester or an admin can cancel', 403)
+    );
+
+  request.status = 'cancelled';
+  request.reviewNote = req.body.reason;
+  await request.save();
+
+  res.status(200).json({ success: true, data: request });
+});
@@ -0,0 +1,276 @@
+// controllers/license.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import License from '../models/License.js';
+import Asset from '../models/Asset.js';
+import User from '../models/User.js';
+import { parseSpanDays, DAY_MS } from '../utils/warranty.js';
+
+export const LICENSE_POPULATE_FIELDS = [
+  { path: 'assignments.user', select: 'name email' },
+  { path: 'assignments.asset', select: 'name chId serialNo' },
+  { path: 'assignments.assignedBy', select: 'name email' },
+];
+
+// fields clients may filter license lists on (see middleware/advancedResults.js)
+export const LICENSE_FILTER_FIELDS = [
+  'product',
+  'vendor',
+  'expiresAt',
+  'seats',
+  'assignments.user',
+  'assignments.asset',
+];
+
+const LICENSE_FIELDS = [
+  'product',
+  'vendor',
+  'licenseKey',
+  'seats',
+  'purchasedOn',
+  'expiresAt',
+  'cost',
+  'notes',
+];
+
+// roles allowed to see license keys
+const KEY_ROLES = ['admin', 'purchaser'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+function pickLicenseFields(body = {}) {
+  const fields = {};
+  for (const key of LICENSE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+function findLicense(id, req) {
+  const query = License.findById(id).populate(LICENSE_POPULATE_FIELDS);
+  return KEY_ROLES.includes(req.user?.role)
+    ? query.select('+licenseKey')
+    : query;
+}
+
+/**
+ * @desc    Create a license
+ * @route   POST /api/v1/license
+ * @access  Private (admin, purchaser)
+ */
+export const createLicense = asyncHandler(async (req, res, next) => {
+  const license = await License.create(pickLicenseFields(req.body));
+  res
+    .status(201)
+    .json({ success: true, data: await findLicense(license._id, req) });
+});
+
+/**
+ * @desc    List licenses (keys are never listed)
+ * @route   GET /api/v1/license
+ * @access  Private
+ */
+export const getLicenses = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Licenses expiring within a window (default 30d)
+ * @route   GET /api/v1/license/expiring?within=30d|12w|3m|1y
+ * @access  Private
+ */
+export const getExpiringLicenses = asyncHandler(async (req, res, next) => {
+  const within = req.query.within || '30d';
+  const days = parseSpanDays(within);
+  if (days === null)
+    return next(
+      new ErrorResponse(
+        `Invalid within "${within}". Use e.g. 30d, 12w, 3m or 1y`,
+        400
+      )
+    );
+
+  const now = new Date();
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const licenses = await License.find({
+    expiresAt: { $gte: now, $lte: until },
+  })
+    .sort('expiresAt')
+    .populate(LICENSE_POPULATE_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    count: licenses.length,
+    within: { days, from: now, until },
+    data: licenses,
+  });
+});
+
+/**
+ * @desc    Get a license with its seat assignments
+ * @route   GET /api/v1/license/:id
+ * @access  Private
+ */
+export const getLicense = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid license id ${id}`, 400));
+
+  const license = await findLicense(id, req);
+  if (!license) return next(new ErrorResponse(`License not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: license });
+});
+
+/**
+ * @desc    Update a license
+ * @route   PUT /api/v1/license/:id
+ * @access  Private (admin, purchaser)
+ */
+export const updateLicense = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid license id ${id}`, 400));
+
+  const license = await License.findById(id);
+  if (!license) return next(new ErrorResponse(`License not found ${id}`, 404));
+
+  const fields = pickLicenseFields(req.body);
+  if (fields.seats !== undefined && fields.seats < license.assignments.length)
+    return next(
+      new ErrorResponse(
+        `${license.assignments.length} seats are assigned. Unassign some before reducing seats to ${fields.seats}`,
+        409
+      )
+    );
+
+  license.set(fields);
+  await license.save();
+
+  res.status(200).json({ success: true, data: await findLicense(id, req) });
+});
+
+/**
+ * @desc    Delete a license (only once no seats are assigned)
+ * @route   DELETE /api/v1/license/:id
+ * @access  Private (admin)
+ */
+export const deleteLicense = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid license id ${id}`, 400));
+
+  const license = await License.findById(id);
+  if (!license) return next(new ErrorResponse(`License not found ${id}`, 404));
+  if (license.assignments.length)
+    return next(
+      new ErrorResponse(
+        `${license.product} still has ${license.assignments.length} assigned seats`,
+        409
+      )
+    );
+
+  await license.deleteOne();
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Assign a seat to a user or an asset
+ * @route   POST /api/v1/license/:id/assignments
+ * @body    { user } or { asset }, note?
+ * @access  Private (admin, purchaser)
+ */
+export const assignSeat = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { user, asset, note } = req.body;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid license id ${id}`, 400));
+  if (!user === !asset)
+    return next(
+      new ErrorResponse('Assign a seat to either a user or an asset', 400)
+    );
+
+  const field = user ? 'user' : 'asset';
+  const targetId = user || asset;
+  if (!isValidId(targetId))
+    return next(new ErrorResponse(`Invalid ${field} id ${targetId}`, 400));
+
+  const exists = user
+    ? await User.exists({ _id: user })
+    : await Asset.exists({ _id: asset, deletedAt: null });
+  if (!exists)
+    return next(new ErrorResponse(`${field} not found ${targetId}`, 404));
+
+  // Push only while a seat is free, so concurrent assignments cannot overbook
+  const updated = await License.findOneAndUpdate(
+    {
+      _id: id,
+      [`assignments.${field}`]: { $ne: targetId },
+      $expr: { $lt: [{ $size: '$assignments' }, '$seats'] },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    },
+    {
+      $push: {
+        assignments: { [field]: targetId, assignedBy: req.user.id, note },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const license = await License.findById(id).lean();
+    if (!license)
+      return next(new ErrorResponse(`License not found ${id}`, 404));
+    if (license.expiresAt && license.expiresAt <= new Date())
+      return next(
+        new ErrorResponse(
+          `${license.product} expired on ${license.expiresAt
+            .toISOString()
+            .slice(0, 10)}`,
+          409
+        )
+      );
+    if (license.assignments.some((a) => String(a[field]) === String(targetId)))
+      return next(
+        new ErrorResponse(
+          `${license.product} is already assigned to this ${field}`,
+          409
+        )
+      );
+    return next(
+      new ErrorResponse(
+        `All ${license.seats} seats of ${license.product} are in use`,
+        409
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: await findLicense(id, req) });
+});
+
+/**
+ * @desc    Free a seat
+ * @route   DELETE /api/v1/license/:id/assignments/:assignmentId
+ * @access  Private (admin, purchaser)
+ */
+export const unassignSeat = asyncHandler(async (req, res, next) => {
+  const { id, assignmentId } = req.params;
+  if (!isValidId(id) || !isValidId(assignmentId))
+    return next(new ErrorResponse('Invalid license or assignment id', 400));
+
+  const updated = await License.findOneAndUpdate(
+    { _id: id, 'assignments._id': assignmentId },
+    { $pull: { assignments: { _id: assignmentId } } },
+    { new: true }
+  );
+  if (!updated)
+    return next(
+      new ErrorResponse(
+        `Assignment ${assignmentId} not found on license ${id}`,
+        404
+      )
+    );
+
+  res.status(200).json({ success: true, data: await findLicense(id, req) });
+});
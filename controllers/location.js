@@ -0,0 +1,221 @@
+// controllers/location.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import Location from '../models/Location.js';
+import Asset from '../models/Asset.js';
+
+export const LOCATION_POPULATE_FIELDS = [
+  { path: 'parent', select: 'name code type' },
+];
+
+// fields clients may filter location lists on (see middleware/advancedResults.js)
+export const LOCATION_FILTER_FIELDS = [
+  'type',
+  'parent',
+  'ancestors',
+  'domain',
+  'code',
+  'active',
+];
+
+const LOCATION_FIELDS = [
+  'name',
+  'code',
+  'type',
+  'parent',
+  'domain',
+  'address',
+  'active',
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+function pickLocationFields(body = {}) {
+  const fields = {};
+  for (const key of LOCATION_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+/**
+ * Count documents per value of `field` -> { value: count }.
+ */
+async function countBy(filter, field) {
+  const rows = await Asset.aggregate([
+    { $match: filter },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id ?? 'Unspecified', r.count]));
+}
+
+/**
+ * @desc    Create a location (site, building, room or desk)
+ * @route   POST /api/v1/location
+ * @access  Private (admin)
+ */
+export const createLocation = asyncHandler(async (req, res, next) => {
+  const location = await Location.create(pickLocationFields(req.body));
+  res.status(201).json({ success: true, data: location });
+});
+
+/**
+ * @desc    List locations (?type=site, ?parent=<id>, ?ancestors=<id> for a subtree)
+ * @route   GET /api/v1/location
+ * @access  Private
+ */
+export const getLocations = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get a location with its full path and direct children
+ * @route   GET /api/v1/location/:id
+ * @access  Private
+ */
+export const getLocation = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid location id ${id}`, 400));
+
+  const location = await Location.findById(id).populate({
+    path: 'ancestors',
+    select: 'name code type',
+  });
+  if (!location)
+    return next(new ErrorResponse(`Location not found ${id}`, 404));
+
+  const children = await Location.find({ parent: id })
+    .select('name code type active')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: { ...location.toObject(), children },
+  });
+});
+
+/**
+ * @desc    Update a location. Moving it under another parent moves its
+ *          whole subtree.
+ * @route   PUT /api/v1/location/:id
+ * @access  Private (admin)
+ */
+export const updateLocation = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid location id ${id}`, 400));
+
+  const location = await Location.findById(id);
+  if (!location)
+    return next(new ErrorResponse(`Location not found ${id}`, 404));
+
+  location.set(pickLocationFields(req.body));
+  const moved = location.isModified('parent');
+  await location.save();
+
+  if (moved) {
+    // Rewrite the ancestor chain of everything underneath
+    const descendants = await Location.find({ ancestors: location._id })
+      .select('ancestors')
+      .lean();
+    if (descendants.length) {
+      await Location.bulkWrite(
+        descendants.map((d) => {
+          const below = d.ancestors.slice(
+            d.ancestors.findIndex((a) => a.equals(location._id)) + 1
+          );
+          return {
+            updateOne: {
+              filter: { _id: d._id },
+              update: {
+                ancestors: [...location.ancestors, location._id, ...below],
+              },
+            },
+          };
+        })
+      );
+    }
+  }
+
+  res.status(200).json({ success: true, data: location });
+});
+
+/**
+ * @desc    Delete an empty location (no child locations, no assets)
+ * @route   DELETE /api/v1/location/:id
+ * @access  Private (admin)
+ */
+export const deleteLocation = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid location id ${id}`, 400));
+
+  const location = await Location.findById(id);
+  if (!location)
+    return next(new ErrorResponse(`Location not found ${id}`, 404));
+
+  if (await Location.exists({ parent: id }))
+    return next(
+      new ErrorResponse(
+        `Location ${location.name} has child locations. Move or delete them first`,
+        409
+      )
+    );
+  if (await Asset.exists({ location: id }))
+    return next(
+      new ErrorResponse(
+        `Location ${location.name} still has assets. Move them first, or set active: false`,
+        409
+      )
+    );
+
+  await location.deleteOne();
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Inventory of a location: assets there (and in nested locations
+ *          unless ?includeSublocations=false) with counts by state and type
+ * @route   GET /api/v1/location/:id/inventory
+ * @access  Private
+ */
+export const getLocationInventory = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid location id ${id}`, 400));
+
+  const location = await Location.findById(id).select('name code type');
+  if (!location)
+    return next(new ErrorResponse(`Location not found ${id}`, 404));
+
+  const locationIds =
+    String(req.query.includeSublocations) === 'false'
+      ? [location._id]
+      : await Location.subtreeIds(id);
+  const filter = { location: { $in: locationIds }, deletedAt: null };
+
+  const [assets, byState, byDeviceType] = await Promise.all([
+    Asset.find(filter)
+      .select(
+        'name chId serialNo model deviceType assetState availablity owner location'
+      )
+      .populate([
+        { path: 'owner', select: 'name email' },
+        { path: 'location', select: 'name code type' },
+      ])
+      .sort('location chId'),
+    countBy(filter, 'assetState'),
+    countBy(filter, 'deviceType'),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    location,
+    count: assets.length,
+    summary: { byState, byDeviceType },
+    data: assets,
+  });
+});
@@ -0,0 +1,418 @@
+// controllers/maintenance.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import MaintenanceTicket, {
+  ACTIVE_TICKET_STATUSES,
+} from '../models/MaintenanceTicket.js';
+import Asset from '../models/Asset.js';
+import Allocation, {
+  ACTIVE_ALLOCATION_STATUSES,
+} from '../models/Allocation.js';
+import { updateAssetTracked } from '../utils/assetHistory.js';
+import {
+  assertTransition,
+  assertNotDisposal,
+  canTransition,
+} from '../utils/assetLifecycle.js';
+import { notifyUsers } from '../utils/notify.js';
+
+export const TICKET_POPULATE_FIELDS = [
+  { path: 'asset', select: 'name chId serialNo assetState owner photoUrl' },
+  { path: 'reportedBy', select: 'name email role' },
+  { path: 'closedBy', select: 'name email role' },
+];
+
+// fields clients may filter ticket lists on (see middleware/advancedResults.js)
+export const TICKET_FILTER_FIELDS = [
+  'asset',
+  'ticketType',
+  'status',
+  'reportedBy',
+  'plan',
+  'scheduledFor',
+  'windowEnd',
+  'windowOverdueAt',
+  'vendor.name',
+  'cost',
+  'expectedReturnDate',
+  'createdAt',
+  'closedAt',
+];
+
+// fields PUT /:id may change; status "closed" goes through /:id/close
+const UPDATABLE_FIELDS = [
+  'issue',
+  'vendor',
+  'cost',
+  'expectedReturnDate',
+  'scheduledFor',
+  'status',
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// assetState an asset moves to while a ticket of this type is open
+function ticketState(ticketType) {
+  return ticketType === 'Maintenance' ? 'Maintenance' : 'Under Repair';
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '—';
+}
+
+/**
+ * Push + email the asset owner (and reporter) about a ticket. Never throws.
+ */
+async function notifyTicket(ticket, asset, { title, body, includeAdmins }) {
+  const label = asset.chId ? `${asset.name} (${asset.chId})` : asset.name;
+  await notifyUsers({
+    userIds: [asset.owner, ticket.reportedBy],
+    includeAdmins,
+    title,
+    body,
+    data: {
+      type: 'maintenance',
+      ticketId: String(ticket._id),
+      assetId: String(asset._id),
+      status: ticket.status,
+    },
+    emailBody: [
+      'Hello,',
+      '',
+      body,
+      '',
+      `Asset: ${label}`,
+      `Issue: ${ticket.issue}`,
+      `Status: ${ticket.status}`,
+      `Vendor: ${ticket.vendor?.name || '—'}`,
+      `Expected return: ${formatDate(ticket.expectedReturnDate)}`,
+      ...(ticket.resolution ? [`Resolution: ${ticket.resolution}`] : []),
+      '',
+      'Regards,',
+      'TAGit',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Whether `user` may take the asset out of service: admins, purchasers,
+ * the asset owner and whoever currently has it allocated.
+ */
+async function canReportAsset(asset, user) {
+  if (['admin', 'purchaser'].includes(user.role)) return true;
+  if (asset.owner?.equals(user._id)) return true;
+  return !!(await Allocation.exists({
+    asset: asset._id,
+    allocatedTo: user._id,
+    status: { $in: ACTIVE_ALLOCATION_STATUSES },
+  }));
+}
+
+/**
+ * @desc    Open a repair/maintenance ticket and move the asset to
+ *          "Under Repair" / "Maintenance"
+ * @route   POST /api/v1/maintenance
+ * @body    { asset, ticketType?, issue, vendor?, cost?, expectedReturnDate?, attachments? }
+ * @access  Private (admin, purchaser, asset owner, current borrower)
+ */
+export const createTicket = asyncHandler(async (req, res, next) => {
+  const assetId = req.body.asset;
+  if (!isValidId(assetId))
+    return next(new ErrorResponse(`Invalid asset id ${assetId}`, 400));
+
+  const asset = await Asset.findById(assetId).select(
+    'name chId assetState owner deletedAt'
+  );
+  if (!asset) return next(new ErrorResponse(`Asset not found ${assetId}`, 404));
+  if (asset.deletedAt)
+    return next(new ErrorResponse(`Asset ${assetId} is archived`, 400));
+  if (!(await canReportAsset(asset, req.user)))
+    return next(
+      new ErrorResponse(
+        'Only the asset owner, its current borrower, an admin or a purchaser can open a ticket',
+        403
+      )
+    );
+
+  const active = await MaintenanceTicket.exists({
+    asset: asset._id,
+    status: { $in: ACTIVE_TICKET_STATUSES },
+  });
+  if (active)
+    return next(
+      new ErrorResponse(
+        `Asset ${asset.chId || assetId} already has an open ticket ${
+          active._id
+        }`,
+        409
+      )
+    );
+
+  const attachments = Array.isArray(req.body.attachments)
+    ? req.body.attachments
+    : req.body.attachments
+    ? [req.body.attachments]
+    : [];
+  if (attachments.some((a) => !a?.url))
+    return next(new ErrorResponse('Please provide attachment urls', 400));
+
+  const ticket = new MaintenanceTicket({
+    asset: asset._id,
+    ticketType: req.body.ticketType,
+    issue: req.body.issue,
+    vendor: req.body.vendor,
+    cost: req.body.cost,
+    expectedReturnDate: req.body.expectedReturnDate,
+    attachments: attachments.map((a) => ({
+      url: a.url,
+      name: a.name,
+      uploadedBy: req.user.id,
+    })),
+    reportedBy: req.user.id,
+  });
+
+  // Validate before touching the asset
+  await ticket.validate();
+
+  const targetState = ticketState(ticket.ticketType);
+  if (asset.assetState !== targetState) {
+    assertTransition(asset.assetState, targetState);
+    ticket.previousState = asset.assetState;
+  }
+  await ticket.save();
+
+  if (ticket.previousState) {
+    const updated = await updateAssetTracked(
+      asset._id,
+      { assetState: targetState },
+      {
+        action: 'maintenance:open',
+        actor: req.user.id,
+        note: ticket.issue,
+      },
+      { filter: { assetState: asset.assetState } }
+    );
+    if (!updated) {
+      await MaintenanceTicket.findByIdAndDelete(ticket._id);
+      return next(
+        new ErrorResponse(
+          `Asset ${assetId} changed state while opening the ticket. Try again`,
+          409
+        )
+      );
+    }
+  }
+
+  await notifyTicket(ticket, asset, {
+    title: `Asset sent for ${ticket.ticketType.toLowerCase()}`,
+    body: `${asset.name} is now "${targetState}": ${ticket.issue}`,
+    includeAdmins: true,
+  });
+
+  const populated = await MaintenanceTicket.findById(ticket._id).populate(
+    TICKET_POPULATE_FIELDS
+  );
+  res.status(201).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    List tickets (filter with ?status=open&asset=<id>, paginated)
+ * @route   GET /api/v1/maintenance
+ * @access  Private
+ */
+export const getTickets = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get a single ticket
+ * @route   GET /api/v1/maintenance/:id
+ * @access  Private
+ */
+export const getTicket = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid ticket id ${id}`, 400));
+
+  const ticket = await MaintenanceTicket.findById(id).populate(
+    TICKET_POPULATE_FIELDS
+  );
+  if (!ticket) return next(new ErrorResponse(`Ticket not found ${id}`, 404));
+
+  res.status(200).json({ success: true, data: ticket });
+});
+
+/**
+ * @desc    Update vendor, cost, expected return date or progress status
+ * @route   PUT /api/v1/maintenance/:id
+ * @access  Private (admin, purchaser)
+ */
+export const updateTicket = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid ticket id ${id}`, 400));
+
+  const ticket = await MaintenanceTicket.findById(id);
+  if (!ticket) return next(new ErrorResponse(`Ticket not found ${id}`, 404));
+  if (ticket.status === 'closed')
+    return next(new ErrorResponse(`Ticket ${id} is already closed`, 400));
+  if (req.body.status === 'closed')
+    return next(
+      new ErrorResponse(
+        `Use PUT /api/v1/maintenance/${id}/close to close a ticket`,
+        400
+      )
+    );
+  // scheduled tasks are started by jobs/maintenanceScheduler.js
+  if (
+    req.body.status !== undefined &&
+    (ticket.status === 'scheduled') !== (req.body.status === 'scheduled')
+  )
+    return next(
+      new ErrorResponse(
+        ticket.status === 'scheduled'
+          ? 'Scheduled maintenance starts automatically on its scheduledFor date'
+          : 'Only preventive maintenance tasks can be scheduled',
+        400
+      )
+    );
+
+  const previous = {
+    status: ticket.status,
+    expectedReturnDate: ticket.expectedReturnDate?.getTime(),
+  };
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) ticket.set(field, req.body[field]);
+  }
+  await ticket.save();
+
+  // Owners care about progress and when they get the device back
+  const statusChanged = previous.status !== ticket.status;
+  const dateChanged =
+    previous.expectedReturnDate !== ticket.expectedReturnDate?.getTime();
+  if (statusChanged || dateChanged) {
+    const asset = await Asset.findById(ticket.asset).select('name chId owner');
+    if (asset)
+      await notifyTicket(ticket, asset, {
+        title: 'Repair ticket updated',
+        body: statusChanged
+          ? `${asset.name} repair is now "${ticket.status}"`
+          : `${asset.name} is now expected back on ${formatDate(
+              ticket.expectedReturnDate
+            )}`,
+      });
+  }
+
+  const populated = await MaintenanceTicket.findById(id).populate(
+    TICKET_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    Attach files (uploaded elsewhere) to a ticket
+ * @route   POST /api/v1/maintenance/:id/attachments
+ * @body    { attachments: [{ url, name? }] } or { url, name? }
+ * @access  Private
+ */
+export const addTicketAttachments = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid ticket id ${id}`, 400));
+
+  const attachments = Array.isArray(req.body.attachments)
+    ? req.body.attachments
+    : [req.body];
+  if (!attachments.length || attachments.some((a) => !a?.url))
+    return next(new ErrorResponse('Please provide attachment urls', 400));
+
+  const ticket = await MaintenanceTicket.findById(id);
+  if (!ticket) return next(new ErrorResponse(`Ticket not found ${id}`, 404));
+
+  ticket.attachments.push(
+    ...attachments.map((a) => ({
+      url: a.url,
+      name: a.name,
+      uploadedBy: req.user.id,
+    }))
+  );
+  await ticket.save();
+
+  res.status(200).json({ success: true, data: ticket });
+});
+
+/**
+ * @desc    Close a ticket and move the asset back into service. The asset
+ *          returns to its state before the ticket unless `returnState` is
+ *          given (e.g. "Damaged" when it could not be repaired; disposal
+ *          then goes through /api/v1/disposal).
+ * @route   PUT /api/v1/maintenance/:id/close
+ * @body    { resolution, cost?, returnState? }
+ * @access  Private (admin, purchaser)
+ */
+export const closeTicket = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid ticket id ${id}`, 400));
+
+  const resolution = String(req.body.resolution ?? '').trim();
+  if (!resolution)
+    return next(new ErrorResponse('Please provide a resolution', 400));
+
+  const ticket = await MaintenanceTicket.findById(id);
+  if (!ticket) return next(new ErrorResponse(`Ticket not found ${id}`, 404));
+  if (ticket.status === 'closed')
+    return next(new ErrorResponse(`Ticket ${id} is already closed`, 400));
+
+  const asset = await Asset.findById(ticket.asset).select(
+    'name chId assetState owner'
+  );
+
+  // Only move the asset if it is still in the state the ticket put it in
+  let returnState = req.body.returnState;
+  const underTicket = asset?.assetState === ticketState(ticket.ticketType);
+  if (asset && (returnState || underTicket)) {
+    if (!returnState)
+      returnState =
+        ticket.previousState &&
+        canTransition(asset.assetState, ticket.previousState)
+          ? ticket.previousState
+          : 'In Stock';
+    assertNotDisposal(returnState);
+    assertTransition(asset.assetState, returnState);
+  }
+
+  ticket.status = 'closed';
+  ticket.resolution = resolution;
+  if (req.body.cost !== undefined) ticket.cost = req.body.cost;
+  ticket.returnState = returnState;
+  ticket.closedAt = new Date();
+  ticket.closedBy = req.user.id;
+  await ticket.save();
+
+  // Release the asset if the scheduler held it for a service window
+  const assetUpdate = {};
+  if (returnState) assetUpdate.assetState = returnState;
+  if (ticket.availabilityHeld) assetUpdate.availablity = true;
+  if (asset && Object.keys(assetUpdate).length) {
+    await updateAssetTracked(asset._id, assetUpdate, {
+      action: 'maintenance:close',
+      actor: req.user.id,
+      note: resolution,
+    });
+  }
+
+  if (asset)
+    await notifyTicket(ticket, asset, {
+      title: 'Repair ticket closed',
+      body: returnState
+        ? `${asset.name} is back as "${returnState}"`
+        : `${asset.name} repair ticket was closed`,
+    });
+
+  const populated = await MaintenanceTicket.findById(id).populate(
+    TICKET_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
@@ -0,0 +1,150 @@
+// controllers/maintenancePlan.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import MaintenanceTicket from '../models/MaintenanceTicket.js';
+import Asset from '../models/Asset.js';
+
+export const PLAN_POPULATE_FIELDS = [
+  { path: 'asset', select: 'name chId serialNo deviceType' },
+  { path: 'responsible', select: 'name email role' },
+  { path: 'createdBy', select: 'name email role' },
+];
+
+// fields clients may filter plan lists on (see middleware/advancedResults.js)
+export const PLAN_FILTER_FIELDS = [
+  'deviceType',
+  'asset',
+  'responsible',
+  'active',
+];
+
+const PLAN_FIELDS = [
+  'name',
+  'deviceType',
+  'asset',
+  'intervalDays',
+  'intervalAllocations',
+  'serviceWindowDays',
+  'leadDays',
+  'responsible',
+  'instructions',
+  'vendor',
+  'startDate',
+  'active',
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+function pickPlanFields(body = {}) {
+  const fields = {};
+  for (const key of PLAN_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+async function assertPlanAsset(assetId) {
+  if (!assetId) return;
+  if (!isValidId(assetId))
+    throw new ErrorResponse(`Invalid asset id ${assetId}`, 400);
+  if (!(await Asset.exists({ _id: assetId, deletedAt: null })))
+    throw new ErrorResponse(`Asset not found ${assetId}`, 404);
+}
+
+/**
+ * @desc    Create a preventive maintenance plan for a deviceType or asset
+ * @route   POST /api/v1/maintenance/plans
+ * @access  Private (admin, purchaser)
+ */
+export const createPlan = asyncHandler(async (req, res, next) => {
+  const fields = pickPlanFields(req.body);
+  await assertPlanAsset(fields.asset);
+
+  const plan = await MaintenancePlan.create({
+    ...fields,
+    createdBy: req.user.id,
+  });
+  const populated = await MaintenancePlan.findById(plan._id).populate(
+    PLAN_POPULATE_FIELDS
+  );
+  res.status(201).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    List plans
+ * @route   GET /api/v1/maintenance/plans
+ * @access  Private
+ */
+export const getPlans = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get a plan with its upcoming and in-progress tasks
+ * @route   GET /api/v1/maintenance/plans/:id
+ * @access  Private
+ */
+export const getPlan = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid plan id ${id}`, 400));
+
+  const plan = await MaintenancePlan.findById(id).populate(
+    PLAN_POPULATE_FIELDS
+  );
+  if (!plan) return next(new ErrorResponse(`Plan not found ${id}`, 404));
+
+  const tasks = await MaintenanceTicket.find({
+    plan: plan._id,
+    status: { $ne: 'closed' },
+  })
+    .sort('scheduledFor')
+    .populate({ path: 'asset', select: 'name chId serialNo' });
+
+  res.status(200).json({ success: true, data: { ...plan.toObject(), tasks } });
+});
+
+/**
+ * @desc    Update a plan (set active: false to pause it)
+ * @route   PUT /api/v1/maintenance/plans/:id
+ * @access  Private (admin, purchaser)
+ */
+export const updatePlan = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid plan id ${id}`, 400));
+
+  const plan = await MaintenancePlan.findById(id);
+  if (!plan) return next(new ErrorResponse(`Plan not found ${id}`, 404));
+
+  const fields = pickPlanFields(req.body);
+  await assertPlanAsset(fields.asset);
+  plan.set(fields);
+  await plan.save();
+
+  const populated = await MaintenancePlan.findById(id).populate(
+    PLAN_POPULATE_FIELDS
+  );
+  res.status(200).json({ success: true, data: populated });
+});
+
+/**
+ * @desc    Delete a plan. Tasks not yet started are removed with it;
+ *          in-progress and past tickets are kept.
+ * @route   DELETE /api/v1/maintenance/plans/:id
+ * @access  Private (admin)
+ */
+export const deletePlan = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid plan id ${id}`, 400));
+
+  const plan = await MaintenancePlan.findByIdAndDelete(id);
+  if (!plan) return next(new ErrorResponse(`Plan not found ${id}`, 404));
+
+  await MaintenanceTicket.deleteMany({ plan: plan._id, status: 'scheduled' });
+
+  res.status(200).json({ success: true, data: {} });
+});
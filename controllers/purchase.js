@@ -1,160 +1,63 @@
 // controllers/purchase.js
-import mongoose from 'mongoose';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import asyncHandler from '../middleware/async.js';
 import Purchase from '../models/Purchase.js';
-import User from '../models/User.js';
 import { sendFcmToTokens } from '../utils/fcm.js';
-import sendEmail from '../utils/sendMail.js';
-
-/**
- * Normalize an array (or single) of user identifiers which may contain:
- * - ObjectId
- * - string id
- * - Mongoose document / plain object with _id
- *
- * Returns an array of valid string ids only.
- */
-function normalizeUserIds(input = []) {
-  if (!Array.isArray(input)) input = [input];
-  const ids = input
-    .map((v) => {
-      if (!v) return null;
-
-      // If it's a Mongoose document or plain object with _id
-      if (typeof v === 'object') {
-        if (v._id) return String(v._id);
-        // If it's an ObjectId instance
-        if (
-          v.constructor &&
-          (v.constructor.name === 'ObjectID' ||
-            v.constructor.name === 'ObjectId')
-        )
-          return String(v);
-        return null;
-      }
-
-      // primitive (string or number)
-      return String(v);
-    })
-    .filter(Boolean);
-
-  // keep only valid ObjectId strings
-  return ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
-}
-
-/**
- * gather FCM tokens for an array of userIds (deduped)
- */
-async function gatherTokensForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-
-  const uniqueIds = Array.from(new Set(ids));
-  const users = await User.find({ _id: { $in: uniqueIds } })
-    .select('fcmTokens name')
-    .lean();
-  const tokens = users.flatMap((u) =>
-    Array.isArray(u.fcmTokens) ? u.fcmTokens : []
-  );
-  return Array.from(new Set(tokens.filter(Boolean)));
-}
-
-/**
- * Gather emails (and names) for given user ids (deduped).
- * Returns array of { email, name }.
- */
-async function gatherEmailsForUserIds(userIds = []) {
-  const ids = normalizeUserIds(userIds);
-  if (!ids.length) return [];
-
-  const uniqueIds = Array.from(new Set(ids));
-  const users = await User.find({ _id: { $in: uniqueIds } })
-    .select('email name')
-    .lean();
-
-  const list = users
-    .map((u) =>
-      u && u.email ? { email: String(u.email), name: u.name || '' } : null
-    )
-    .filter(Boolean);
-
-  const seen = new Set();
-  const unique = [];
-  for (const item of list) {
-    if (!seen.has(item.email)) {
-      seen.add(item.email);
-      unique.push(item);
-    }
-  }
-  return unique;
-}
-
-/**
- * Gather admin emails.
- */
-async function gatherAdminEmails() {
-  const admins = await User.find({ role: 'admin' }).select('email name').lean();
-  const list = admins
-    .map((a) =>
-      a && a.email ? { email: String(a.email), name: a.name || '' } : null
-    )
-    .filter(Boolean);
-  const seen = new Set();
-  const unique = [];
-  for (const item of list) {
-    if (!seen.has(item.email)) {
-      seen.add(item.email);
-      unique.push(item);
-    }
-  }
-  return unique;
-}
-
-/**
- * Send emails to list of { email, name } recipients, concurrently.
- * Returns summary { sent, failed, failures }.
- */
-async function sendEmailsToRecipients(recipients = [], subject, body) {
-  if (!recipients || !recipients.length)
-    return { sent: 0, failed: 0, failures: [] };
-
-  if (typeof sendEmail !== 'function') {
-    console.error(
-      'sendEmail is not a function - check utils/sendMail.js export'
-    );
-    return {
-      sent: 0,
-      failed: recipients.length,
-      failures: recipients.map((r) => ({
-        email: r.email,
-        error: 'sendEmail missing',
-      })),
-    };
-  }
-
-  const promises = recipients.map((r) =>
-    sendEmail({ email: r.email, subject, body })
-      .then(() => ({ email: r.email, ok: true }))
-      .catch((err) => ({
-        email: r.email,
-        ok: false,
-        error: err.message || String(err),
-      }))
-  );
-
-  const results = await Promise.allSettled(promises);
-  const failures = [];
-  let sent = 0;
-  for (const res of results) {
-    if (res.status === 'fulfilled' && res.value && res.value.ok) sent++;
-    else {
-      const info = (res.status === 'fulfilled' ? res.value : res.reason) || {};
-      failures.push(info);
-    }
-  }
-  return { sent, failed: failures.length, failures };
-}
+import {
+  normalizeUserIds,
+  gatherTokensForUserIds,
+  gatherEmailsForUserIds,
+  gatherAdminTokens,
+  gatherAdminEmails,
+  sendEmailsToRecipients,
+} from '../utils/notify.js';
+import { streamExport } from '../utils/export.js';
+import { buildFilter, toFieldString } from '../middleware/advancedResults.js';
+
+// fields clients may filter purchase lists/exports on
+export const PURCHASE_FILTER_FIELDS = [
+  'assetType',
+  'requestStatus',
+  'managerApproval',
+  'requestedBy',
+  'requiredBy',
+  'manager',
+  'assetPrice',
+  'purchasedOn',
+  'requestCreatedAt',
+];
+
+export const PURCHASE_POPULATE_FIELDS = [
+  { path: 'requiredBy', select: 'name email role' },
+  { path: 'requestedBy', select: 'name email role' },
+];
+
+// spreadsheet columns for GET /api/v1/purchase/export
+const PURCHASE_EXPORT_COLUMNS = [
+  { header: 'Asset', value: (p) => p.assetName, width: 30 },
+  { header: 'Asset Type', value: (p) => p.assetType },
+  { header: 'Price', value: (p) => p.assetPrice },
+  { header: 'Purpose', value: (p) => p.assestPurpose, width: 30 },
+  { header: 'Requested By', value: (p) => p.requestedBy?.name },
+  {
+    header: 'Requested By Email',
+    value: (p) => p.requestedBy?.email,
+    width: 30,
+  },
+  { header: 'Required By', value: (p) => p.requiredBy?.name },
+  {
+    header: 'Required By Email',
+    value: (p) => p.requiredBy?.email,
+    width: 30,
+  },
+  { header: 'Manager', value: (p) => p.manager?.name },
+  { header: 'Manager Approval', value: (p) => p.managerApproval },
+  { header: 'Approved', value: (p) => p.requestStatus },
+  { header: 'Asset Link', value: (p) => p.assetUrl, width: 40 },
+  { header: 'Requested On', value: (p) => p.requestCreatedAt },
+  { header: 'Accepted On', value: (p) => p.requestAcceptedAt },
+  { header: 'Purchased On', value: (p) => p.purchasedOn },
+];
 
 /**
  * notify all admins helper (sends FCM and email)
@@ -167,12 +70,8 @@ async function notifyAdmins(
   emailBody = null
 ) {
   try {
-    const adminDocs = await User.find({ role: 'admin' }).select('_id').lean();
-    const adminIds = adminDocs.map((a) => a._id).filter(Boolean);
-    if (adminIds.length) {
-      const tokens = await gatherTokensForUserIds(adminIds);
-      if (tokens.length) await sendFcmToTokens(tokens, { title, body }, data);
-    }
+    const tokens = await gatherAdminTokens();
+    if (tokens.length) await sendFcmToTokens(tokens, { title, body }, data);
 
     if (emailSubject && emailBody) {
       const adminEmails = await gatherAdminEmails();
@@ -460,17 +359,29 @@ export const getRequests = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get All Purchase Requests
+ * @desc    List purchase requests (same filters as the export, paginated)
  * @route   GET /api/v1/purchase
  * @access  Private
  */
 export const getAllRequests = asyncHandler(async (req, res, next) => {
-  const request = await Purchase.find().populate(
-    'requiredBy requestedBy',
-    'name email role'
-  );
-  res.status(200).json({
-    success: true,
-    data: request,
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Export Purchase Requests as CSV or XLSX
+ * @route   GET /api/v1/purchase/export?format=csv|xlsx
+ * @access  Private (admin, purchaser)
+ */
+export const exportRequests = asyncHandler(async (req, res, next) => {
+  const filter = buildFilter(req.query, PURCHASE_FILTER_FIELDS);
+  const query = Purchase.find(filter)
+    .sort(toFieldString(req.query.sort) || '-requestCreatedAt')
+    .populate('requiredBy requestedBy manager', 'name email');
+
+  await streamExport(res, {
+    query,
+    columns: PURCHASE_EXPORT_COLUMNS,
+    format: req.query.format || 'csv',
+    filename: 'purchases',
   });
 });
@@ -0,0 +1,408 @@
+// controllers/stock.js
+import mongoose from 'mongoose';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import StockItem from '../models/StockItem.js';
+import StockTransaction from '../models/StockTransaction.js';
+import Purchase from '../models/Purchase.js';
+import User from '../models/User.js';
+import { notifyUsers, gatherUserIdsByRole } from '../utils/notify.js';
+
+export const STOCK_POPULATE_FIELDS = [
+  { path: 'location', select: 'name code type' },
+  { path: 'reorderContact', select: 'name email role' },
+  {
+    path: 'pendingPurchase',
+    select: 'assetName requestStatus requestCreatedAt purchasedOn',
+  },
+];
+
+// fields clients may filter stock lists on (see middleware/advancedResults.js)
+export const STOCK_FILTER_FIELDS = [
+  'category',
+  'sku',
+  'location',
+  'active',
+  'quantity',
+  'reorderThreshold',
+];
+
+export const STOCK_TRANSACTION_POPULATE_FIELDS = [
+  { path: 'item', select: 'name sku unit' },
+  { path: 'issuedTo', select: 'name email' },
+  { path: 'performedBy', select: 'name email' },
+];
+
+export const STOCK_TRANSACTION_FILTER_FIELDS = [
+  'item',
+  'type',
+  'issuedTo',
+  'performedBy',
+  'purchase',
+  'createdAt',
+];
+
+// quantity only changes through stock-in/out/adjust
+const STOCK_ITEM_FIELDS = [
+  'name',
+  'sku',
+  'category',
+  'desc',
+  'unit',
+  'reorderThreshold',
+  'reorderQuantity',
+  'unitPrice',
+  'location',
+  'reorderContact',
+  'active',
+];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+function pickStockFields(body = {}) {
+  const fields = {};
+  for (const key of STOCK_ITEM_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+/**
+ * Parse a whole-number quantity from the request body.
+ */
+function parseQuantity(value, { allowZero = false } = {}) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || (!allowZero && n === 0))
+    throw new ErrorResponse(
+      `quantity must be a whole number${allowZero ? '' : ' above 0'}`,
+      400
+    );
+  return n;
+}
+
+/**
+ * Items whose quantity is at or below their reorder threshold.
+ */
+export function lowStockFilter(req) {
+  return String(req.query?.lowStock) === 'true'
+    ? { $expr: { $lte: ['$quantity', '$reorderThreshold'] } }
+    : {};
+}
+
+async function hasOpenPurchase(purchaseId) {
+  if (!purchaseId) return false;
+  const purchase = await Purchase.findById(purchaseId)
+    .select('requestStatus purchasedOn')
+    .lean();
+  return (
+    !!purchase && !purchase.purchasedOn && purchase.requestStatus !== false
+  );
+}
+
+/**
+ * Raise a purchase request when an item is at or below its threshold and no
+ * restock request is already open. Returns the new Purchase or null.
+ */
+async function requestRestock(item, actorId) {
+  if (item.quantity > item.reorderThreshold) return null;
+  if (await hasOpenPurchase(item.pendingPurchase)) return null;
+
+  const requester = item.reorderContact || actorId;
+  const purchase = await Purchase.create({
+    assetName: `${item.name} (restock)`,
+    assetType: 'Consumable',
+    requestedBy: requester,
+    requiredBy: requester,
+    assetPrice: item.unitPrice
+      ? item.unitPrice * item.reorderQuantity
+      : undefined,
+    assestPurpose: `Automatic restock: ${item.quantity} ${item.unit} left (threshold ${item.reorderThreshold}). Order ${item.reorderQuantity} ${item.unit}.`,
+    requestCreatedAt: new Date(),
+    stockItem: item._id,
+  });
+
+  // Another request may have raised one at the same time; keep only one
+  const claimed = await StockItem.findOneAndUpdate(
+    { _id: item._id, pendingPurchase: item.pendingPurchase ?? null },
+    { pendingPurchase: purchase._id }
+  );
+  if (!claimed) {
+    await Purchase.findByIdAndDelete(purchase._id);
+    return null;
+  }
+
+  const purchasers = await gatherUserIdsByRole('purchaser');
+  await notifyUsers({
+    userIds: [...purchasers, requester],
+    includeAdmins: true,
+    title: 'Low stock',
+    body: `${item.name} is down to ${item.quantity} ${item.unit}. A restock request was raised.`,
+    data: {
+      type: 'stock:low',
+      stockItemId: String(item._id),
+      purchaseId: String(purchase._id),
+    },
+    emailBody: [
+      'Hello,',
+      '',
+      `${item.name}${item.sku ? ` (${item.sku})` : ''} is down to ${
+        item.quantity
+      } ${item.unit}, at or below its reorder threshold of ${
+        item.reorderThreshold
+      }.`,
+      '',
+      `A purchase request for ${item.reorderQuantity} ${item.unit} has been raised automatically.`,
+      '',
+      'Regards,',
+      'TAGit',
+    ].join('\n'),
+  });
+
+  return purchase;
+}
+
+/**
+ * Load an item with its populated fields for responses.
+ */
+function findItem(id) {
+  return StockItem.findById(id).populate(STOCK_POPULATE_FIELDS);
+}
+
+/**
+ * @desc    Create a stock item (opening quantity is recorded as a stock-in)
+ * @route   POST /api/v1/stock
+ * @access  Private (admin, purchaser)
+ */
+export const createStockItem = asyncHandler(async (req, res, next) => {
+  const quantity =
+    req.body.quantity === undefined
+      ? 0
+      : parseQuantity(req.body.quantity, { allowZero: true });
+
+  const item = await StockItem.create({
+    ...pickStockFields(req.body),
+    quantity,
+  });
+  if (quantity) {
+    await StockTransaction.create({
+      item: item._id,
+      type: 'in',
+      quantity,
+      balanceAfter: quantity,
+      performedBy: req.user.id,
+      note: 'Opening stock',
+    });
+  }
+  await requestRestock(item, req.user.id);
+
+  res.status(201).json({ success: true, data: await findItem(item._id) });
+});
+
+/**
+ * @desc    List stock items (?lowStock=true for items at/below threshold)
+ * @route   GET /api/v1/stock
+ * @access  Private
+ */
+export const getStockItems = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get a stock item with its latest transactions
+ * @route   GET /api/v1/stock/:id
+ * @access  Private
+ */
+export const getStockItem = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid stock item id ${id}`, 400));
+
+  const item = await findItem(id);
+  if (!item) return next(new ErrorResponse(`Stock item not found ${id}`, 404));
+
+  const transactions = await StockTransaction.find({ item: id })
+    .sort('-createdAt')
+    .limit(20)
+    .populate([
+      { path: 'issuedTo', select: 'name email' },
+      { path: 'performedBy', select: 'name email' },
+    ]);
+
+  res.status(200).json({
+    success: true,
+    data: { ...item.toObject(), transactions },
+  });
+});
+
+/**
+ * @desc    Update stock item details (not quantity)
+ * @route   PUT /api/v1/stock/:id
+ * @access  Private (admin, purchaser)
+ */
+export const updateStockItem = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid stock item id ${id}`, 400));
+  if (req.body.quantity !== undefined)
+    return next(
+      new ErrorResponse(
+        `quantity changes through /api/v1/stock/${id}/in, /out or /adjust`,
+        400
+      )
+    );
+
+  const item = await StockItem.findByIdAndUpdate(
+    id,
+    pickStockFields(req.body),
+    { new: true, runValidators: true }
+  );
+  if (!item) return next(new ErrorResponse(`Stock item not found ${id}`, 404));
+
+  // a raised threshold may put the item below it
+  await requestRestock(item, req.user.id);
+
+  res.status(200).json({ success: true, data: await findItem(id) });
+});
+
+/**
+ * @desc    Receive stock
+ * @route   POST /api/v1/stock/:id/in
+ * @body    { quantity, purchase?, note? }
+ * @access  Private (admin, purchaser)
+ */
+export const stockIn = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid stock item id ${id}`, 400));
+  const quantity = parseQuantity(req.body.quantity);
+  if (req.body.purchase && !isValidId(req.body.purchase))
+    return next(
+      new ErrorResponse(`Invalid purchase id ${req.body.purchase}`, 400)
+    );
+
+  const item = await StockItem.findByIdAndUpdate(
+    id,
+    { $inc: { quantity } },
+    { new: true }
+  );
+  if (!item) return next(new ErrorResponse(`Stock item not found ${id}`, 404));
+
+  await StockTransaction.create({
+    item: item._id,
+    type: 'in',
+    quantity,
+    balanceAfter: item.quantity,
+    performedBy: req.user.id,
+    purchase: req.body.purchase,
+    note: req.body.note,
+  });
+
+  // Restocked: the next shortage may raise a new request
+  if (item.pendingPurchase && item.quantity > item.reorderThreshold)
+    await StockItem.updateOne({ _id: id }, { $unset: { pendingPurchase: 1 } });
+
+  res.status(200).json({ success: true, data: await findItem(id) });
+});
+
+/**
+ * @desc    Issue stock to a user
+ * @route   POST /api/v1/stock/:id/out
+ * @body    { quantity, issuedTo, note? }
+ * @access  Private (admin, purchaser)
+ */
+export const stockOut = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { issuedTo } = req.body;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid stock item id ${id}`, 400));
+  const quantity = parseQuantity(req.body.quantity);
+  if (!isValidId(issuedTo))
+    return next(new ErrorResponse(`Invalid user id ${issuedTo}`, 400));
+  if (!(await User.exists({ _id: issuedTo })))
+    return next(new ErrorResponse(`User not found ${issuedTo}`, 404));
+
+  // Decrement only if enough is on hand, so concurrent issues cannot go negative
+  const item = await StockItem.findOneAndUpdate(
+    { _id: id, active: true, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity } },
+    { new: true }
+  );
+  if (!item) {
+    const current = await StockItem.findById(id).select(
+      'name quantity unit active'
+    );
+    if (!current)
+      return next(new ErrorResponse(`Stock item not found ${id}`, 404));
+    if (!current.active)
+      return next(new ErrorResponse(`${current.name} is inactive`, 400));
+    return next(
+      new ErrorResponse(
+        `Only ${current.quantity} ${current.unit} of ${current.name} in stock`,
+        409
+      )
+    );
+  }
+
+  await StockTransaction.create({
+    item: item._id,
+    type: 'out',
+    quantity: -quantity,
+    balanceAfter: item.quantity,
+    issuedTo,
+    performedBy: req.user.id,
+    note: req.body.note,
+  });
+
+  const purchase = await requestRestock(item, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    ...(purchase && { message: 'Stock is low; a restock request was raised' }),
+    data: await findItem(id),
+  });
+});
+
+/**
+ * @desc    Correct the quantity after a stock count
+ * @route   POST /api/v1/stock/:id/adjust
+ * @body    { quantity, note }
+ * @access  Private (admin, purchaser)
+ */
+export const adjustStock = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id))
+    return next(new ErrorResponse(`Invalid stock item id ${id}`, 400));
+  const quantity = parseQuantity(req.body.quantity, { allowZero: true });
+  const note = String(req.body.note ?? '').trim();
+  if (!note)
+    return next(
+      new ErrorResponse('Please explain the adjustment in note', 400)
+    );
+
+  const before = await StockItem.findByIdAndUpdate(id, { quantity });
+  if (!before)
+    return next(new ErrorResponse(`Stock item not found ${id}`, 404));
+
+  await StockTransaction.create({
+    item: before._id,
+    type: 'adjust',
+    quantity: quantity - before.quantity,
+    balanceAfter: quantity,
+    performedBy: req.user.id,
+    note,
+  });
+
+  const item = await StockItem.findById(id);
+  await requestRestock(item, req.user.id);
+
+  res.status(200).json({ success: true, data: await findItem(id) });
+});
+
+/**
+ * @desc    Stock movements (?item=, ?issuedTo=, ?type=out, paginated)
+ * @route   GET /api/v1/stock/transactions
+ * @access  Private
+ */
+export const getStockTransactions = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
@@ -1,89 +1,278 @@
 // jobs/availabilityScheduler.js
 import cron from 'node-cron';
-import mongoose from 'mongoose';
 import Allocation from '../models/Allocation.js';
-import Asset from '../models/Asset.js';
+import { notifyUsers, resolveUserRef } from '../utils/notify.js';
+import { reminderThresholds } from '../utils/reminders.js';
+import { formatInZone } from '../utils/timezone.js';
 
 const LOG_PREFIX = '[availabilityScheduler]';
+const HOUR_MS = 60 * 60 * 1000;
+
+// hours before duration.endTime the borrower is reminded
+const DUE_REMINDER_HOURS =
+  Number(process.env.ALLOCATION_DUE_REMINDER_HOURS) || 24;
+
+// who each escalation level adds to the overdue notice
+const ESCALATION_LEVELS = ['asset owner', 'manager', 'admins'];
+
+// returns waiting to be checked in are handled by verifyReturn
+const NOT_RETURNED = { 'return.status': { $ne: 'submitted' } };
 
 /**
- * Parse a date that may be in "dd/mm/yyyy" or ISO format.
- * Returns a valid Date object or null if invalid.
+ * Hours past duration.endTime at which an overdue allocation escalates to
+ * the asset owner, the borrower's manager and then admins, e.g.
+ * ALLOCATION_ESCALATION_HOURS="24,72,168". Levels without a value are
+ * never reached.
  */
-function parseDateFlexible(dateValue) {
-  if (!dateValue) return null;
-
-  // If already a Date object, return it directly
-  if (dateValue instanceof Date) return dateValue;
-
-  // If it's a number or something parseable as timestamp
-  if (!isNaN(Date.parse(dateValue))) return new Date(dateValue);
-
-  // If string like "dd/mm/yyyy"
-  if (typeof dateValue === 'string') {
-    const parts = dateValue.split(/[\/\-]/);
-    if (parts.length === 3) {
-      const [day, month, year] = parts.map(Number);
-      if (year && month && day) {
-        return new Date(year, month - 1, day); // JS months are 0-indexed
-      }
+function escalationHours() {
+  return reminderThresholds(
+    process.env.ALLOCATION_ESCALATION_HOURS,
+    '24,72,168'
+  )
+    .reverse()
+    .slice(0, ESCALATION_LEVELS.length);
+}
+
+function assetLabel(asset) {
+  return asset ? `${asset.name} (${asset.chId || asset._id})` : 'the asset';
+}
+
+/**
+ * Remind borrowers once per end time that their allocation ends within
+ * DUE_REMINDER_HOURS. Extending or recalling (new endTime) re-arms it.
+ */
+async function sendDueSoonReminders(now) {
+  const allocations = await Allocation.find({
+    status: 'approved',
+    'duration.endTime': {
+      $gt: now,
+      $lte: new Date(now.getTime() + DUE_REMINDER_HOURS * HOUR_MS),
+    },
+    ...NOT_RETURNED,
+  }).populate({ path: 'asset', select: 'name chId' });
+
+  for (const alloc of allocations) {
+    const { endTime, timeZone } = alloc.duration;
+    const sentFor = alloc.reminders?.dueSoonFor;
+    if (sentFor && sentFor.getTime() === endTime.getTime()) continue;
+
+    const label = assetLabel(alloc.asset);
+    const dueAt = formatInZone(endTime, timeZone);
+    await notifyUsers({
+      userIds: [alloc.allocatedTo],
+      title: 'Allocation due soon',
+      body: `${label} is due back by ${dueAt}`,
+      data: {
+        type: 'allocation:due_soon',
+        allocationId: String(alloc._id),
+      },
+      emailBody: [
+        'Hello,',
+        '',
+        `Your allocation of ${label} ends soon.`,
+        '',
+        `Due back: ${dueAt}`,
+        '',
+        'Please return the asset, or request an extension if you still need it.',
+        '',
+        'Regards,',
+        'TAGit',
+      ].join('\n'),
+    });
+
+    try {
+      await Allocation.updateOne(
+        { _id: alloc._id },
+        {
+          $set: {
+            'reminders.dueSoonSentAt': now,
+            'reminders.dueSoonFor': endTime,
+          },
+        }
+      );
+      console.log(`${LOG_PREFIX} ✅ Due-soon reminder sent for ${alloc._id}`);
+    } catch (err) {
+      console.error(
+        `${LOG_PREFIX} ❌ Failed recording reminder for allocation ${alloc._id}:`,
+        err
+      );
     }
   }
+}
+
+/**
+ * Approved allocations past their end with no return recorded become
+ * overdue. The asset stays with the borrower until it is checked in.
+ */
+async function markOverdue(now) {
+  const allocations = await Allocation.find({
+    status: 'approved',
+    'duration.endTime': { $lte: now },
+    ...NOT_RETURNED,
+  })
+    .select('_id')
+    .lean();
 
-  return null; // invalid
+  for (const { _id } of allocations) {
+    try {
+      // a return submitted since the find keeps the allocation approved
+      const alloc = await Allocation.findOneAndUpdate(
+        { _id, status: 'approved', ...NOT_RETURNED },
+        [
+          {
+            $set: {
+              status: 'overdue',
+              overdueSince: '$duration.endTime',
+              allocationStatusDate: now,
+            },
+          },
+        ],
+        { new: true }
+      ).populate({ path: 'asset', select: 'name chId' });
+      if (!alloc) continue;
+
+      const label = assetLabel(alloc.asset);
+      const dueAt = formatInZone(
+        alloc.duration.endTime,
+        alloc.duration.timeZone
+      );
+      await notifyUsers({
+        userIds: [alloc.allocatedTo],
+        title: 'Allocation overdue',
+        body: `${label} was due back by ${dueAt}`,
+        data: {
+          type: 'allocation:overdue',
+          allocationId: String(alloc._id),
+        },
+        emailBody: [
+          'Hello,',
+          '',
+          `Your allocation of ${label} ended on ${dueAt} and no return has been recorded.`,
+          '',
+          'Please return the asset as soon as possible, or request an extension.',
+          '',
+          'Regards,',
+          'TAGit',
+        ].join('\n'),
+      });
+      console.log(`${LOG_PREFIX} ✅ Allocation ${alloc._id} marked overdue`);
+    } catch (err) {
+      console.error(
+        `${LOG_PREFIX} ❌ Failed marking allocation ${_id} overdue:`,
+        err
+      );
+    }
+  }
 }
 
 /**
- * Check allocations and mark expired ones' assets available.
+ * Escalate overdue allocations one level at a time: each level adds the
+ * asset owner, then the borrower's manager (User.manager), then admins to
+ * the notice. The borrower is copied on every escalation.
  */
-async function processExpiredAllocations() {
-  try {
-    const now = new Date();
+async function escalateOverdue(now) {
+  const hours = escalationHours();
+  if (!hours.length) return;
 
-    // Get approved allocations that have a duration endTime
-    const allocations = await Allocation.find({
-      status: 'approved',
-      'duration.endTime': { $exists: true },
-    });
+  const allocations = await Allocation.find({
+    status: 'overdue',
+    'duration.endTime': { $lte: new Date(now.getTime() - hours[0] * HOUR_MS) },
+    ...NOT_RETURNED,
+  })
+    .populate({ path: 'asset', select: 'name chId owner' })
+    .populate({ path: 'allocatedTo', select: 'name email manager' });
 
-    for (const alloc of allocations) {
-      const endTime = parseDateFlexible(alloc.duration?.endTime);
+  for (const alloc of allocations) {
+    const { endTime, timeZone } = alloc.duration;
+    const hoursOver = (now - endTime) / HOUR_MS;
+    const level = hours.filter((h) => hoursOver >= h).length;
+    const current = alloc.reminders?.escalationLevel || 0;
+    if (level <= current) continue;
 
-      if (!endTime) {
-        console.warn(
-          `${LOG_PREFIX} Skipping allocation ${alloc._id} - invalid endTime`,
-          alloc.duration?.endTime
-        );
-        continue;
-      }
+    try {
+      // claim the level so overlapping runs do not send it twice
+      const claimed = await Allocation.updateOne(
+        {
+          _id: alloc._id,
+          status: 'overdue',
+          'reminders.escalationLevel': { $in: [current, null] },
+        },
+        {
+          $set: {
+            'reminders.escalationLevel': level,
+            'reminders.lastEscalatedAt': now,
+          },
+        }
+      );
+      if (!claimed.modifiedCount) continue;
 
-      if (endTime <= now) {
-        try {
-          // Mark asset available again
-          if (alloc.asset) {
-            await Asset.findByIdAndUpdate(
-              alloc.asset,
-              { availablity: true },
-              { new: true }
-            );
-          }
-
-          // Mark allocation completed
-          alloc.status = 'completed';
-          alloc.allocationStatusDate = now;
-          await alloc.save();
-
-          console.log(
-            `${LOG_PREFIX} ✅ Allocation ${alloc._id} completed — asset set available`
-          );
-        } catch (err) {
-          console.error(
-            `${LOG_PREFIX} ❌ Failed updating asset for allocation ${alloc._id}:`,
-            err
+      const borrower = alloc.allocatedTo;
+      const recipients = [borrower?._id, alloc.asset?.owner];
+      if (level >= 2) {
+        const managerId = await resolveUserRef(borrower?.manager);
+        if (managerId) recipients.push(managerId);
+        else
+          console.warn(
+            `${LOG_PREFIX} No manager found for ${borrower?.email} (allocation ${alloc._id})`
           );
-        }
       }
+
+      const label = assetLabel(alloc.asset);
+      const dueAt = formatInZone(endTime, timeZone);
+      const daysOver = Math.floor(hoursOver / 24);
+      const overdueFor =
+        daysOver >= 1
+          ? `${daysOver} day(s)`
+          : `${Math.floor(hoursOver)} hour(s)`;
+      await notifyUsers({
+        userIds: recipients,
+        includeAdmins: level >= 3,
+        title: 'Overdue allocation',
+        body: `${label} is ${overdueFor} overdue with ${
+          borrower?.name || 'its borrower'
+        }`,
+        data: {
+          type: 'allocation:overdue_escalation',
+          allocationId: String(alloc._id),
+          level: String(level),
+        },
+        emailBody: [
+          'Hello,',
+          '',
+          `${label} has not been returned and is ${overdueFor} overdue.`,
+          '',
+          `Borrower: ${borrower?.name || '-'} (${borrower?.email || '-'})`,
+          `Due back: ${dueAt}`,
+          `Escalated to: ${ESCALATION_LEVELS.slice(0, level).join(', ')}`,
+          '',
+          'Please follow up with the borrower to get the asset returned.',
+          '',
+          'Regards,',
+          'TAGit',
+        ].join('\n'),
+      });
+      console.log(
+        `${LOG_PREFIX} ✅ Allocation ${alloc._id} escalated to level ${level}`
+      );
+    } catch (err) {
+      console.error(
+        `${LOG_PREFIX} ❌ Failed escalating allocation ${alloc._id}:`,
+        err
+      );
     }
+  }
+}
+
+/**
+ * Remind borrowers before allocations end, flag unreturned ones overdue
+ * and escalate those that stay overdue.
+ */
+async function processAllocationDeadlines() {
+  try {
+    const now = new Date();
+    await sendDueSoonReminders(now);
+    await markOverdue(now);
+    await escalateOverdue(now);
   } catch (err) {
     console.error(`${LOG_PREFIX} Error running scheduler:`, err);
   }
@@ -92,7 +281,7 @@ async function processExpiredAllocations() {
 export function startAvailabilityScheduler() {
   // Every minute — adjust if needed
   const task = cron.schedule('*/10 * * * *', async () => {
-    await processExpiredAllocations();
+    await processAllocationDeadlines();
   });
 
   task.start();
@@ -0,0 +1,117 @@
+// jobs/licenseScheduler.js
+import cron from 'node-cron';
+import License from '../models/License.js';
+import { notifyUsers, gatherUserIdsByRole } from '../utils/notify.js';
+import { daysUntil, DAY_MS } from '../utils/warranty.js';
+import {
+  reminderThresholds,
+  crossedThreshold,
+  alreadyReminded,
+} from '../utils/reminders.js';
+
+const LOG_PREFIX = '[licenseScheduler]';
+
+/**
+ * Remind admins and purchasers about licenses expiring soon. Each threshold
+ * is sent once per expiry date; renewing (new expiresAt) re-arms reminders.
+ */
+async function processExpiringLicenses() {
+  try {
+    // days before expiry, e.g. LICENSE_REMINDER_DAYS="30,7,1"
+    const thresholds = reminderThresholds(process.env.LICENSE_REMINDER_DAYS);
+    if (!thresholds.length) return;
+
+    const now = new Date();
+    const until = new Date(now.getTime() + thresholds[0] * DAY_MS);
+
+    const licenses = await License.find({
+      expiresAt: { $gte: now, $lte: until },
+    });
+    if (!licenses.length) return;
+
+    const recipients = await gatherUserIdsByRole('admin', 'purchaser');
+
+    for (const license of licenses) {
+      const daysLeft = daysUntil(license.expiresAt, now);
+      const threshold = crossedThreshold(daysLeft, thresholds);
+      if (threshold === null) continue;
+      if (
+        alreadyReminded(
+          {
+            lastDays: license.lastReminderDays,
+            lastDate: license.lastReminderExpiry,
+          },
+          threshold,
+          license.expiresAt
+        )
+      )
+        continue;
+
+      const expiresOn = license.expiresAt.toISOString().slice(0, 10);
+      const when =
+        daysLeft <= 0
+          ? 'today'
+          : daysLeft === 1
+          ? 'tomorrow'
+          : `in ${daysLeft} days`;
+
+      await notifyUsers({
+        userIds: recipients,
+        title: 'License expiring',
+        body: `${license.product} expires ${when} (${expiresOn}), ${license.assignments.length}/${license.seats} seats in use`,
+        data: {
+          type: 'license:expiring',
+          licenseId: String(license._id),
+          daysLeft: String(daysLeft),
+        },
+        emailBody: [
+          'Hello,',
+          '',
+          `The ${license.product} license expires ${when}.`,
+          '',
+          `Vendor: ${license.vendor || '-'}`,
+          `Expires: ${expiresOn}`,
+          `Seats in use: ${license.assignments.length} of ${license.seats}`,
+          '',
+          'Please renew it or plan to remove it from the assigned users and devices.',
+          '',
+          'Regards,',
+          'TAGit',
+        ].join('\n'),
+      });
+
+      try {
+        await License.updateOne(
+          { _id: license._id },
+          {
+            $set: {
+              lastReminderDays: threshold,
+              lastReminderExpiry: license.expiresAt,
+            },
+          }
+        );
+        console.log(
+          `${LOG_PREFIX} ✅ Reminded ${license.product} — ${daysLeft} day(s) left`
+        );
+      } catch (err) {
+        console.error(
+          `${LOG_PREFIX} ❌ Failed recording reminder for license ${license._id}:`,
+          err
+        );
+      }
+    }
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Error running scheduler:`, err);
+  }
+}
+
+export function startLicenseScheduler() {
+  // Daily at 08:15 server time
+  const task = cron.schedule('15 8 * * *', async () => {
+    await processExpiringLicenses();
+  });
+
+  task.start();
+  console.log(`${LOG_PREFIX} Scheduler started (checks daily at 08:15)`);
+  return task;
+}
@@ -0,0 +1,302 @@
+// jobs/maintenanceScheduler.js
+import cron from 'node-cron';
+import Asset from '../models/Asset.js';
+import Allocation from '../models/Allocation.js';
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import MaintenanceTicket, {
+  ACTIVE_TICKET_STATUSES,
+} from '../models/MaintenanceTicket.js';
+import { updateAssetTracked } from '../utils/assetHistory.js';
+import { canTransition } from '../utils/assetLifecycle.js';
+import { notifyUsers } from '../utils/notify.js';
+import { DAY_MS } from '../utils/warranty.js';
+
+const LOG_PREFIX = '[maintenanceScheduler]';
+
+// assets in these states are never scheduled for service
+const RETIRED_STATES = ['Sold', 'Discarded', 'Lost'];
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function assetLabel(asset) {
+  return asset.chId ? `${asset.name} (${asset.chId})` : asset.name;
+}
+
+/**
+ * Date the next service is due, counted from `since` (last service or plan
+ * start). An allocation based interval that has been reached is due now.
+ */
+async function nextDueDate(plan, asset, since, now) {
+  const candidates = [];
+  if (plan.intervalDays)
+    candidates.push(new Date(since.getTime() + plan.intervalDays * DAY_MS));
+
+  if (plan.intervalAllocations) {
+    const allocations = await Allocation.countDocuments({
+      asset: asset._id,
+      status: { $in: ['approved', 'overdue', 'completed'] },
+      allocationStatusDate: { $gte: since },
+    });
+    if (allocations >= plan.intervalAllocations) candidates.push(now);
+  }
+
+  if (!candidates.length) return null;
+  return new Date(Math.min(...candidates.map((d) => d.getTime())));
+}
+
+async function remind(ticket, asset, plan, title, body) {
+  await notifyUsers({
+    userIds: [plan.responsible || asset.owner],
+    title,
+    body,
+    data: {
+      type: 'maintenance:preventive',
+      ticketId: String(ticket._id),
+      assetId: String(asset._id),
+      planId: String(plan._id),
+    },
+    emailBody: [
+      'Hello,',
+      '',
+      body,
+      '',
+      `Asset: ${assetLabel(asset)}`,
+      `Plan: ${plan.name}`,
+      `Scheduled for: ${formatDate(ticket.scheduledFor)}`,
+      `Service window: ${plan.serviceWindowDays} day(s)`,
+      ...(plan.instructions ? ['', plan.instructions] : []),
+      '',
+      'Regards,',
+      'TAGit',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Create a scheduled task for every asset whose plan is due within its lead
+ * time, unless one is already pending.
+ */
+async function scheduleDueTasks(now) {
+  const plans = await MaintenancePlan.find({ active: true });
+
+  for (const plan of plans) {
+    const assets = await Asset.find({
+      ...(plan.asset ? { _id: plan.asset } : { deviceType: plan.deviceType }),
+      deletedAt: null,
+      assetState: { $nin: RETIRED_STATES },
+    }).select('name chId owner');
+
+    for (const asset of assets) {
+      try {
+        const pending = await MaintenanceTicket.exists({
+          plan: plan._id,
+          asset: asset._id,
+          status: { $ne: 'closed' },
+        });
+        if (pending) continue;
+
+        const last = await MaintenanceTicket.findOne({
+          plan: plan._id,
+          asset: asset._id,
+          status: 'closed',
+        })
+          .sort('-closedAt')
+          .select('closedAt');
+        const since = last?.closedAt || plan.startDate || plan.createdAt;
+
+        const due = await nextDueDate(plan, asset, since, now);
+        if (!due || due.getTime() - plan.leadDays * DAY_MS > now.getTime())
+          continue;
+
+        const ticket = await MaintenanceTicket.create({
+          asset: asset._id,
+          plan: plan._id,
+          ticketType: 'Maintenance',
+          issue: `Preventive maintenance: ${plan.name}`,
+          reportedBy: plan.createdBy || plan.responsible || asset.owner,
+          vendor: plan.vendor,
+          status: 'scheduled',
+          scheduledFor: due,
+        });
+
+        await remind(
+          ticket,
+          asset,
+          plan,
+          'Maintenance scheduled',
+          `${assetLabel(asset)} is due for "${plan.name}" on ${formatDate(
+            due
+          )}. It will be unavailable for ${plan.serviceWindowDays} day(s).`
+        );
+        console.log(
+          `${LOG_PREFIX} ✅ Scheduled ${plan.name} for ${assetLabel(
+            asset
+          )} on ${formatDate(due)}`
+        );
+      } catch (err) {
+        console.error(
+          `${LOG_PREFIX} ❌ Failed scheduling plan ${plan._id} for asset ${asset._id}:`,
+          err
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Take assets out of circulation for tasks whose date has arrived. Assets
+ * still allocated to someone, or already under another ticket, are retried
+ * on the next run.
+ */
+async function startServiceWindows(now) {
+  const tickets = await MaintenanceTicket.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: now },
+  }).populate('plan');
+
+  for (const ticket of tickets) {
+    try {
+      const asset = await Asset.findById(ticket.asset).select(
+        'name chId owner assetState availablity deletedAt'
+      );
+      if (!asset || asset.deletedAt || !ticket.plan) continue;
+
+      const busy = await MaintenanceTicket.exists({
+        asset: asset._id,
+        status: { $in: ACTIVE_TICKET_STATUSES },
+      });
+      if (busy || asset.availablity === false) {
+        console.log(
+          `${LOG_PREFIX} Waiting for ${assetLabel(
+            asset
+          )} to be free before servicing`
+        );
+        continue;
+      }
+
+      const moveState = canTransition(asset.assetState, 'Maintenance');
+      const updated = await updateAssetTracked(
+        asset._id,
+        {
+          availablity: false,
+          ...(moveState ? { assetState: 'Maintenance' } : {}),
+        },
+        {
+          action: 'maintenance:open',
+          note: `Preventive maintenance: ${ticket.plan.name}`,
+        },
+        {
+          filter: {
+            availablity: { $ne: false },
+            assetState: asset.assetState,
+          },
+        }
+      );
+      if (!updated) continue;
+
+      ticket.status = 'open';
+      ticket.availabilityHeld = true;
+      if (moveState) ticket.previousState = asset.assetState;
+      ticket.windowEnd = new Date(
+        now.getTime() + ticket.plan.serviceWindowDays * DAY_MS
+      );
+      ticket.expectedReturnDate = ticket.windowEnd;
+      await ticket.save();
+
+      await remind(
+        ticket,
+        asset,
+        ticket.plan,
+        'Maintenance started',
+        `${assetLabel(asset)} is out of circulation for "${
+          ticket.plan.name
+        }" until ${formatDate(ticket.windowEnd)}.`
+      );
+      console.log(
+        `${LOG_PREFIX} ✅ Service window started for ${assetLabel(asset)}`
+      );
+    } catch (err) {
+      console.error(
+        `${LOG_PREFIX} ❌ Failed starting service window for ticket ${ticket._id}:`,
+        err
+      );
+    }
+  }
+}
+
+/**
+ * Flag preventive tasks still open after their service window and remind
+ * the responsible user once, so the asset is not held unavailable silently.
+ */
+async function flagOverdueWindows(now) {
+  const tickets = await MaintenanceTicket.find({
+    status: { $in: ACTIVE_TICKET_STATUSES },
+    windowEnd: { $lte: now },
+    windowOverdueAt: null,
+  })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of tickets) {
+    try {
+      // claim the ticket so overlapping runs remind once
+      const ticket = await MaintenanceTicket.findOneAndUpdate(
+        { _id, windowOverdueAt: null },
+        { windowOverdueAt: now },
+        { new: true }
+      ).populate('plan');
+      if (!ticket || !ticket.plan) continue;
+
+      const asset = await Asset.findById(ticket.asset).select(
+        'name chId owner'
+      );
+      if (!asset) continue;
+
+      await remind(
+        ticket,
+        asset,
+        ticket.plan,
+        'Maintenance overdue',
+        `The service window for "${ticket.plan.name}" on ${assetLabel(
+          asset
+        )} ended on ${formatDate(
+          ticket.windowEnd
+        )}. Close the ticket once the asset is back so it can be allocated again.`
+      );
+      console.log(
+        `${LOG_PREFIX} ✅ Flagged overdue service window for ${assetLabel(
+          asset
+        )}`
+      );
+    } catch (err) {
+      console.error(
+        `${LOG_PREFIX} ❌ Failed flagging overdue ticket ${_id}:`,
+        err
+      );
+    }
+  }
+}
+
+async function processMaintenancePlans() {
+  try {
+    const now = new Date();
+    await scheduleDueTasks(now);
+    await startServiceWindows(now);
+    await flagOverdueWindows(now);
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Error running scheduler:`, err);
+  }
+}
+
+export function startMaintenanceScheduler() {
+  // Hourly
+  const task = cron.schedule('0 * * * *', async () => {
+    await processMaintenancePlans();
+  });
+
+  task.start();
+  console.log(`${LOG_PREFIX} Scheduler started (checks every hour)`);
+  return task;
+}
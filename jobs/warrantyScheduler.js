@@ -0,0 +1,124 @@
+// jobs/warrantyScheduler.js
+import cron from 'node-cron';
+import Asset from '../models/Asset.js';
+import { notifyUsers } from '../utils/notify.js';
+import { daysUntil, DAY_MS } from '../utils/warranty.js';
+import {
+  reminderThresholds,
+  crossedThreshold,
+  alreadyReminded,
+} from '../utils/reminders.js';
+
+const LOG_PREFIX = '[warrantyScheduler]';
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Remind owners and admins about warranties ending soon. Each threshold is
+ * sent once per warranty end date; changing the end date re-arms reminders.
+ */
+async function processExpiringWarranties() {
+  try {
+    // days before warranty end, e.g. WARRANTY_REMINDER_DAYS="30,7,1"
+    const thresholds = reminderThresholds(process.env.WARRANTY_REMINDER_DAYS);
+    if (!thresholds.length) return;
+
+    const now = new Date();
+    const until = new Date(now.getTime() + thresholds[0] * DAY_MS);
+
+    const assets = await Asset.find({
+      'warranty.end': { $gte: now, $lte: until },
+      deletedAt: null,
+    }).select('name chId serialNo owner warranty');
+
+    for (const asset of assets) {
+      const { warranty } = asset;
+      const daysLeft = daysUntil(warranty.end, now);
+      const threshold = crossedThreshold(daysLeft, thresholds);
+      if (threshold === null) continue;
+
+      if (
+        alreadyReminded(
+          {
+            lastDays: warranty.lastReminderDays,
+            lastDate: warranty.lastReminderEnd,
+          },
+          threshold,
+          warranty.end
+        )
+      )
+        continue;
+
+      const endsOn = formatDate(warranty.end);
+      const label = asset.chId ? `${asset.name} (${asset.chId})` : asset.name;
+      const when =
+        daysLeft <= 0
+          ? 'today'
+          : daysLeft === 1
+          ? 'tomorrow'
+          : `in ${daysLeft} days`;
+
+      await notifyUsers({
+        userIds: asset.owner ? [asset.owner] : [],
+        includeAdmins: true,
+        title: 'Warranty expiring',
+        body: `Warranty for ${label} ends ${when} (${endsOn})`,
+        data: {
+          type: 'warranty:expiring',
+          assetId: String(asset._id),
+          daysLeft: String(daysLeft),
+        },
+        emailBody: [
+          'Hello,',
+          '',
+          `The warranty for ${label} ends ${when}.`,
+          '',
+          `Serial No: ${asset.serialNo || '-'}`,
+          `Warranty end: ${endsOn}`,
+          `Provider: ${warranty.provider || '-'}`,
+          `Coverage: ${warranty.coverageType || '-'}`,
+          '',
+          'Please arrange a renewal or service before it lapses.',
+          '',
+          'Regards,',
+          'TAGit',
+        ].join('\n'),
+      });
+
+      try {
+        await Asset.updateOne(
+          { _id: asset._id },
+          {
+            $set: {
+              'warranty.lastReminderDays': threshold,
+              'warranty.lastReminderEnd': warranty.end,
+            },
+          }
+        );
+        console.log(
+          `${LOG_PREFIX} ✅ Reminded ${label} — ${daysLeft} day(s) left`
+        );
+      } catch (err) {
+        console.error(
+          `${LOG_PREFIX} ❌ Failed recording reminder for asset ${asset._id}:`,
+          err
+        );
+      }
+    }
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Error running scheduler:`, err);
+  }
+}
+
+export function startWarrantyScheduler() {
+  // Daily at 08:00 server time
+  const task = cron.schedule('0 8 * * *', async () => {
+    await processExpiringWarranties();
+  });
+
+  task.start();
+  console.log(`${LOG_PREFIX} Scheduler started (checks daily at 08:00)`);
+  return task;
+}
@@ -0,0 +1,189 @@
+// middleware/advancedResults.js
+import mongoose from 'mongoose';
+import asyncHandler from './async.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'];
+
+/**
+ * Split a query value into a list, accepting repeated params (?a=x&a=y)
+ * as well as comma separated values (?a=x,y).
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a single query operator/value pair into its Mongo equivalent.
+ */
+function toCondition(field, op, value) {
+  if (!OPERATORS.includes(op)) {
+    throw new ErrorResponse(`Unsupported operator "${op}" on ${field}`, 400);
+  }
+  if (op === 'in' || op === 'nin') return { [`$${op}`]: toList(value) };
+  if (op === 'exists') return { $exists: String(value) !== 'false' };
+  if (Array.isArray(value)) value = value[value.length - 1];
+  return op === 'eq' ? value : { [`$${op}`]: value };
+}
+
+/**
+ * Build a Mongo filter from request query params.
+ *
+ * Only whitelisted `filterFields` are considered. Supports plain equality
+ * (?assetState=Working) and bracket operators (?assetState[in]=Working,Lost),
+ * with either the simple or the extended Express query parser.
+ */
+export function buildFilter(query = {}, filterFields = []) {
+  const filter = {};
+
+  const addCondition = (field, op, value) => {
+    const condition = toCondition(field, op, value);
+    const isOperatorObject =
+      condition && typeof condition === 'object' && !Array.isArray(condition);
+    if (
+      isOperatorObject &&
+      filter[field] &&
+      typeof filter[field] === 'object'
+    ) {
+      Object.assign(filter[field], condition);
+    } else if (isOperatorObject && filter[field] !== undefined) {
+      filter[field] = { $eq: filter[field], ...condition };
+    } else {
+      filter[field] = condition;
+    }
+  };
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(/^([\w.]+)(?:\[(\w+)\])?$/);
+    if (!match || !filterFields.includes(match[1])) continue;
+    const [, field, op] = match;
+
+    if (!op && value && typeof value === 'object' && !Array.isArray(value)) {
+      // extended query parser: ?field[op]=value arrives as an object
+      for (const [nestedOp, nestedValue] of Object.entries(value)) {
+        addCondition(field, nestedOp, nestedValue);
+      }
+    } else {
+      addCondition(field, op || 'eq', value);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Turn "a,-b" into a Mongo sort/select string ("a -b").
+ */
+export function toFieldString(value) {
+  return value ? toList(value).join(' ') : undefined;
+}
+
+/**
+ * Generic list middleware shared by list endpoints.
+ *
+ * Query params:
+ *   <field>, <field>[op]  filter on whitelisted fields (op: eq, ne, gt, gte, lt, lte, in, nin, exists)
+ *   select=a,b            fields to return
+ *   sort=a,-b             sort order (defaults to options.defaultSort)
+ *   page, limit           page pagination
+ *   cursor, limit         cursor pagination on _id (ignores page and sort)
+ *
+ * Sets `res.advancedResults` to { success, count, total, pagination, data }.
+ *
+ * @param {mongoose.Model} model
+ * @param {Object|Array|string} [populate]
+ * @param {Object} [options]
+ * @param {string[]} [options.filterFields] fields clients may filter on
+ * @param {string} [options.defaultSort]
+ * @param {(req) => Object|Promise<Object>} [options.baseFilter] filter always applied (e.g. hide archived)
+ */
+const advancedResults = (model, populate, options = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const { filterFields = [], defaultSort = '-_id', baseFilter } = options;
+    const query = req.query || {};
+
+    const filter = {
+      ...buildFilter(query, filterFields),
+      ...(baseFilter ? await baseFilter(req) : {}),
+    };
+
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+    const select = toFieldString(query.select);
+
+    let total;
+    let results;
+    const pagination = { limit };
+
+    try {
+      total = await model.countDocuments(filter);
+
+      if (query.cursor !== undefined) {
+        // Cursor pagination walks _id descending so new rows never shift pages
+        if (query.cursor && !mongoose.Types.ObjectId.isValid(query.cursor)) {
+          return next(new ErrorResponse(`Invalid cursor ${query.cursor}`, 400));
+        }
+        const cursorFilter = query.cursor
+          ? { $and: [filter, { _id: { $lt: query.cursor } }] }
+          : filter;
+
+        let dbQuery = model
+          .find(cursorFilter)
+          .sort('-_id')
+          .limit(limit + 1);
+        if (select) dbQuery = dbQuery.select(select);
+        if (populate) dbQuery = dbQuery.populate(populate);
+        results = await dbQuery;
+
+        const hasMore = results.length > limit;
+        if (hasMore) results = results.slice(0, limit);
+        pagination.nextCursor = hasMore
+          ? String(results[results.length - 1]._id)
+          : null;
+      } else {
+        const page = Math.max(parseInt(query.page, 10) || 1, 1);
+        const startIndex = (page - 1) * limit;
+
+        let dbQuery = model
+          .find(filter)
+          .sort(toFieldString(query.sort) || defaultSort)
+          .skip(startIndex)
+          .limit(limit);
+        if (select) dbQuery = dbQuery.select(select);
+        if (populate) dbQuery = dbQuery.populate(populate);
+        results = await dbQuery;
+
+        pagination.page = page;
+        pagination.pages = Math.ceil(total / limit);
+        if (startIndex + limit < total)
+          pagination.next = { page: page + 1, limit };
+        if (startIndex > 0) pagination.prev = { page: page - 1, limit };
+      }
+    } catch (err) {
+      if (err.name === 'CastError') {
+        return next(
+          new ErrorResponse(`Invalid value for ${err.path}: ${err.value}`, 400)
+        );
+      }
+      throw err;
+    }
+
+    res.advancedResults = {
+      success: true,
+      count: results.length,
+      total,
+      pagination,
+      data: results,
+    };
+    next();
+  });
+
+export default advancedResults;
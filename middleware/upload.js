@@ -0,0 +1,25 @@
+import path from 'path';
+import multer from 'multer';
+import ErrorResponse from '../utils/ErrorResponse.js';
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Spreadsheet uploads are parsed in memory, never written to disk
+export const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+      return cb(
+        new ErrorResponse(
+          `Unsupported file type ${
+            ext || '(none)'
+          }. Upload a .csv or .xlsx file`,
+          400
+        )
+      );
+    }
+    cb(null, true);
+  },
+}).single('file');
@@ -1,4 +1,101 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from '../utils/timezone.js';
+
+export const RETURN_CONDITIONS = ['ok', 'damaged', 'missing_parts'];
+// allocations whose asset is out with the borrower
+export const ACTIVE_ALLOCATION_STATUSES = ['approved', 'overdue'];
+
+// Early/explicit hand-back of the asset, checked by the asset owner or an
+// admin before the allocation is completed
+const ReturnSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['submitted', 'verified'],
+      default: 'submitted',
+    },
+    returnedAt: { type: Date, default: Date.now },
+    submittedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    // as reported by the person returning it
+    condition: {
+      type: String,
+      enum: RETURN_CONDITIONS,
+      required: [true, 'Please provide the condition of the asset'],
+    },
+    notes: { type: String },
+    photos: [
+      {
+        _id: false,
+        url: { type: String, required: [true, 'Please add a photo url'] },
+        name: { type: String },
+      },
+    ],
+    // as found on check-in; may differ from `condition`
+    verifiedCondition: { type: String, enum: RETURN_CONDITIONS },
+    verificationNotes: { type: String },
+    verifiedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    verifiedAt: { type: Date },
+    // assetState the asset was moved to on verification
+    resultingState: { type: String },
+  },
+  { _id: false }
+);
+
+// Borrower asks to keep the asset longer; the asset owner decides
+const ExtensionRequestSchema = new mongoose.Schema(
+  {
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: [true, 'Please provide the new end date'],
+    },
+    previousEndTime: { type: Date },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason for the extension'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Owner/admin shortened the allocation
+const RecallSchema = new mongoose.Schema(
+  {
+    recalledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    previousEndTime: { type: Date },
+    endTime: { type: Date, required: true },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason for the recall'],
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
 
 const AllocationSchema = new mongoose.Schema(
   {
@@ -22,6 +119,11 @@ const AllocationSchema = new mongoose.Schema(
       required: true,
     },
     purpose: { type: String },
+    // where the asset goes once approved (desk, room, ...)
+    location: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Location',
+    },
     allocationType: {
       type: String,
       required: [true, 'Please provide allocation type'],
@@ -31,10 +133,11 @@ const AllocationSchema = new mongoose.Schema(
     // legacy boolean for quick checks (kept for backward compatibility)
     requestStatus: { type: Boolean },
 
-    // clearer status enum: 'pending' | 'approved' | 'rejected'
+    // clearer status enum: 'pending' | 'approved' | 'rejected'; 'overdue'
+    // is an approved allocation past its end with no return recorded
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'completed'],
+      enum: ['pending', 'approved', 'overdue', 'rejected', 'completed'],
       default: 'pending',
       index: true,
     },
@@ -53,9 +156,38 @@ const AllocationSchema = new mongoose.Schema(
     // when request was accepted/rejected/processed
     allocationStatusDate: { type: Date },
 
+    return: { type: ReturnSchema, default: undefined },
+    extensionRequests: [ExtensionRequestSchema],
+    recalls: [RecallSchema],
+
+    // set by the availability scheduler; `dueSoonFor` is the endTime the
+    // due-soon reminder was sent for, so moving the end re-arms it
+    overdueSince: { type: Date },
+    reminders: {
+      dueSoonSentAt: { type: Date },
+      dueSoonFor: { type: Date },
+      escalationLevel: { type: Number, default: 0 },
+      lastEscalatedAt: { type: Date },
+    },
+
+    // instants (stored UTC); timeZone is the zone they were entered in,
+    // used to read times given without an offset (see utils/timezone.js)
     duration: {
-      startTime: { type: String },
-      endTime: { type: String },
+      startTime: { type: Date },
+      endTime: { type: Date },
+      timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE,
+        validate: {
+          validator: isValidTimeZone,
+          message: (props) => `Unknown time zone ${props.value}`,
+        },
+      },
+      // original text the duration migration could not read
+      raw: {
+        startTime: { type: String },
+        endTime: { type: String },
+      },
     },
   },
   {
@@ -63,4 +195,19 @@ const AllocationSchema = new mongoose.Schema(
   }
 );
 
+// scheduler: approved/overdue allocations by end time
+AllocationSchema.index({ status: 1, 'duration.endTime': 1 });
+// conflict checks and availability calendars
+AllocationSchema.index({ asset: 1, status: 1, 'duration.startTime': 1 });
+
+AllocationSchema.pre('validate', function (next) {
+  const { startTime, endTime } = this.duration || {};
+  if (startTime && endTime && endTime <= startTime)
+    this.invalidate(
+      'duration.endTime',
+      'duration.endTime must be after startTime'
+    );
+  next();
+});
+
 export default mongoose.model('Allocation', AllocationSchema);
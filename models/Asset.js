@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { parseWarrantyText } from '../utils/warranty.js';
+import { ASSET_STATES } from '../utils/assetLifecycle.js';
 
 // Counter Schema
 const CounterSchema = new mongoose.Schema({
@@ -7,9 +9,56 @@ const CounterSchema = new mongoose.Schema({
 });
 
 // Prevent overwrite in dev reloads
-const Counter =
+export const Counter =
   mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
 
+// Warranty (embedded in Asset)
+const WarrantySchema = new mongoose.Schema(
+  {
+    start: { type: Date },
+    end: { type: Date, index: true },
+    provider: { type: String },
+    coverageType: {
+      type: String,
+      enum: [
+        'Manufacturer',
+        'Extended',
+        'Accidental Damage',
+        'On-site',
+        'Other',
+      ],
+    },
+    // original free-form text, kept when migrating from the old String field
+    raw: { type: String },
+    // last expiry reminder sent (see jobs/warrantyScheduler.js)
+    lastReminderDays: { type: Number },
+    lastReminderEnd: { type: Date },
+  },
+  { _id: false }
+);
+
+// Disposal record (embedded in Asset), written when a disposal request is
+// approved (see controllers/disposal.js)
+const DisposalSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'DisposalRequest',
+    },
+    method: { type: String },
+    disposedAt: { type: Date },
+    salePrice: { type: Number },
+    buyer: { type: String },
+    certificateNumber: { type: String },
+    certificateUrl: { type: String },
+    approvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: false }
+);
+
 // Asset Schema
 const AssetSchema = new mongoose.Schema({
   chId: {
@@ -26,27 +75,23 @@ const AssetSchema = new mongoose.Schema({
   assetState: {
     type: String,
     required: true,
-    enum: [
-      'Working',
-      'Discarded',
-      'Returned',
-      'Under Repair',
-      'Lost',
-      'In Stock',
-      'Reserved',
-      'Maintenance',
-      'Damaged',
-      'Sold',
-      'Other',
-    ],
+    // changes after creation go through transitionAssetState
+    enum: ASSET_STATES,
   },
   serialNo: {
     type: String,
     required: [true, 'Please add a Serial Number'],
   },
   warranty: {
-    type: String,
+    type: WarrantySchema,
     required: [true, 'Please add Warranty Date'],
+    // legacy clients still send a free-form string ("31/12/2025", "Dec 2025")
+    set: (value) =>
+      typeof value === 'string' ? parseWarrantyText(value) : value,
+    validate: {
+      validator: (w) => !!(w && (w.end || w.raw)),
+      message: 'Please add Warranty Date',
+    },
   },
   invoiceAvailable: {
     type: Boolean,
@@ -65,27 +110,95 @@ const AssetSchema = new mongoose.Schema({
     required: true,
   },
   deviceType: { type: String },
+  // values for the deviceType's custom fields (see models/DeviceType.js),
+  // validated by utils/customFields.js
+  customFields: { type: mongoose.Schema.Types.Mixed, default: undefined },
   allocation: {
     type: mongoose.Schema.ObjectId,
     ref: 'Allocation',
   },
   availablity: { type: Boolean },
+  // bundle: accessories (charger, dock, bag) point at the asset they ship with
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Asset',
+    default: null,
+    index: true,
+  },
+  // where the device physically is (see models/Location.js)
+  location: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Location',
+    index: true,
+  },
   purchasedOn: { type: String },
+  // cost basis for depreciation (see utils/depreciation.js)
+  purchaseCost: { type: Number, min: [0, 'purchaseCost cannot be negative'] },
+  purchase: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Purchase',
+  },
+  disposal: { type: DisposalSchema, default: undefined },
+  // held while a booking is checked and written (see withBookingLock)
+  bookingLockedAt: { type: Date, select: false },
+
+  // soft delete: archived assets are hidden from listings until restored
+  deletedAt: { type: Date, default: null, index: true },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
 });
 
+// Full-text search over the descriptive fields (see searchAssets)
+AssetSchema.index(
+  { name: 'text', model: 'text', serialNo: 'text', chId: 'text', desc: 'text' },
+  {
+    name: 'AssetTextIndex',
+    weights: { chId: 10, serialNo: 10, name: 5, model: 3, desc: 1 },
+  }
+);
+AssetSchema.index({ serialNo: 1 });
+
+// Zero pad to 2 digits — adjust as needed (e.g., padStart(3) for 001, 002, 003)
+export function formatChId(seq) {
+  return `ch/${String(seq).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a scanned or typed tag ("ch/07", "CH/7", "ch%2F07") to the
+ * stored chId format.
+ */
+export function normalizeChId(raw) {
+  let tag = Array.isArray(raw) ? raw.join('/') : String(raw || '');
+  try {
+    tag = decodeURIComponent(tag);
+  } catch (_) {}
+  tag = tag.trim().toLowerCase();
+  const match = tag.match(/^ch\/?0*(\d+)$/);
+  return match ? formatChId(Number(match[1])) : tag;
+}
+
+/**
+ * Reserve `count` consecutive chIds in one counter update.
+ * Used by bulk inserts, which bypass the pre-save hook.
+ */
+export async function reserveChIds(count) {
+  if (!count) return [];
+  const counter = await Counter.findByIdAndUpdate(
+    { _id: 'asset' },
+    { $inc: { seq: count } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, i) => formatChId(first + i));
+}
+
 // Pre-save hook to auto-generate chId
 AssetSchema.pre('save', async function (next) {
   if (this.isNew && !this.chId) {
-    const counter = await Counter.findByIdAndUpdate(
-      { _id: 'asset' },
-      { $inc: { seq: 1 } },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
-
-    // Zero pad to 2 digits — adjust as needed (e.g., padStart(3) for 001, 002, 003)
-    const formattedSeq = String(counter.seq).padStart(2, '0');
-
-    this.chId = `ch/${formattedSeq}`;
+    const [chId] = await reserveChIds(1);
+    this.chId = chId;
   }
   next();
 });
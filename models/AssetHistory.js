@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One entry per change to an asset, oldest first when read as a timeline
+const AssetHistorySchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Asset',
+      required: true,
+    },
+    // e.g. 'create', 'update', 'delete', 'allocation:approve', 'checkout'
+    action: {
+      type: String,
+      required: [true, 'Please provide a history action'],
+    },
+    // user who made the change (empty for scheduled jobs)
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    allocation: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Allocation',
+    },
+    // field level diff: [{ field, from, to }]
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    note: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AssetHistorySchema.index({ asset: 1, createdAt: 1 });
+
+export default mongoose.model('AssetHistory', AssetHistorySchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const AuditCampaignSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Please add a campaign name'] },
+    // which assets are expected; empty scope means every active asset
+    scope: {
+      location: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Location',
+      },
+      deviceType: { type: String },
+      owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+      index: true,
+    },
+    // who may scan; admins always can
+    auditors: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+    ],
+    startedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expectedCount: { type: Number, default: 0 },
+    // item counts by status, frozen when the campaign closes
+    summary: { type: Map, of: Number },
+    markedLost: { type: Number, default: 0 },
+    closedAt: { type: Date },
+    closedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('AuditCampaign', AuditCampaignSchema);
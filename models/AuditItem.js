@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ITEM_STATUSES = [
+  'pending', // expected, not scanned yet
+  'found',
+  'missing',
+  'wrong_location',
+  'wrong_state',
+  'unexpected', // scanned but outside the campaign scope
+];
+
+const AuditItemSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'AuditCampaign',
+      required: true,
+    },
+    asset: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Asset',
+      required: true,
+    },
+    chId: { type: String },
+    // snapshot of the records when the campaign started
+    expected: {
+      location: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Location',
+      },
+      assetState: { type: String },
+      owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+    },
+    // what the auditor saw
+    observed: {
+      location: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Location',
+      },
+      assetState: { type: String },
+    },
+    status: {
+      type: String,
+      enum: AUDIT_ITEM_STATUSES,
+      default: 'pending',
+    },
+    scannedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    scannedAt: { type: Date },
+    note: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AuditItemSchema.index({ campaign: 1, asset: 1 }, { unique: true });
+AuditItemSchema.index({ campaign: 1, status: 1 });
+
+export default mongoose.model('AuditItem', AuditItemSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const DEPRECIATION_METHODS = ['straight_line', 'declining_balance'];
+
+// How assets of one deviceType lose value (see utils/depreciation.js)
+const DepreciationPolicySchema = new mongoose.Schema(
+  {
+    deviceType: {
+      type: String,
+      required: [true, 'Please add a deviceType'],
+      unique: true,
+      trim: true,
+    },
+    method: {
+      type: String,
+      enum: DEPRECIATION_METHODS,
+      default: 'straight_line',
+    },
+    usefulLifeMonths: {
+      type: Number,
+      required: [true, 'Please add a useful life in months'],
+      min: [1, 'usefulLifeMonths must be at least 1'],
+    },
+    // residual value at end of life, as a percentage of purchase cost
+    salvagePercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'salvagePercent cannot be negative'],
+      max: [100, 'salvagePercent cannot exceed 100'],
+    },
+    // declining balance only: annual rate in percent; defaults to double
+    // the straight-line rate (200 / useful life in years)
+    annualRatePercent: {
+      type: Number,
+      min: [1, 'annualRatePercent must be at least 1'],
+      max: [100, 'annualRatePercent cannot exceed 100'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('DepreciationPolicy', DepreciationPolicySchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean'];
+
+// One custom field on assets of a deviceType (stored in Asset.customFields)
+const CustomFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Please add a field key'],
+      trim: true,
+      match: [
+        /^[a-zA-Z][a-zA-Z0-9_]*$/,
+        'Field keys must start with a letter and use only letters, digits and _',
+      ],
+    },
+    label: { type: String, trim: true },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: [true, 'Please add a field type'],
+    },
+    required: { type: Boolean, default: false },
+    // enum only: allowed values
+    options: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+// Custom field schema for assets whose deviceType equals `name`
+const DeviceTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a deviceType name'],
+      unique: true,
+      trim: true,
+    },
+    fields: [CustomFieldSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DeviceTypeSchema.pre('validate', function (next) {
+  const seen = new Set();
+  this.fields.forEach((field, i) => {
+    if (seen.has(field.key))
+      this.invalidate(`fields.${i}.key`, `Duplicate field key ${field.key}`);
+    seen.add(field.key);
+    if (!field.label) field.label = field.key;
+    if (field.type === 'enum' && !field.options.length)
+      this.invalidate(
+        `fields.${i}.options`,
+        `Field ${field.key} needs at least one option`
+      );
+    if (field.type !== 'enum') field.options = undefined;
+  });
+  next();
+});
+
+export default mongoose.model('DeviceType', DeviceTypeSchema);
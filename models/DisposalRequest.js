@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+export const DISPOSAL_METHODS = [
+  'sale',
+  'recycle',
+  'donation',
+  'scrap',
+  'return_to_vendor',
+];
+export const DISPOSAL_STATUSES = [
+  'pending',
+  'approved',
+  'rejected',
+  'cancelled',
+];
+
+// assetState an asset ends in once disposed of by `method`
+export function disposalState(method) {
+  return method === 'sale' ? 'Sold' : 'Discarded';
+}
+
+const DisposalRequestSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Asset',
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: DISPOSAL_METHODS,
+      required: [true, 'Please add a disposal method'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please add a reason for the disposal'],
+      trim: true,
+    },
+    // sale only
+    salePrice: { type: Number, min: [0, 'salePrice cannot be negative'] },
+    buyer: {
+      name: { type: String, trim: true },
+      contact: { type: String, trim: true },
+    },
+    // storage must be wiped before the device leaves, unless it has none
+    dataWipe: {
+      required: { type: Boolean, default: true },
+      confirmed: { type: Boolean, default: false },
+      method: { type: String }, // e.g. "DBAN 3-pass", "physical destruction"
+      reference: { type: String }, // wipe tool report / vendor certificate
+      confirmedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      confirmedAt: { type: Date },
+    },
+    status: {
+      type: String,
+      enum: DISPOSAL_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    // assetState when the request was raised and the state it will end in
+    previousState: { type: String },
+    targetState: { type: String },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+    certificate: {
+      number: { type: String },
+      url: { type: String },
+      issuedAt: { type: Date },
+    },
+    // allocations closed when the disposal was approved
+    endedAllocations: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Allocation',
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending request per asset
+DisposalRequestSchema.index(
+  { asset: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'pending' },
+    name: 'OnePendingDisposalPerAsset',
+  }
+);
+
+DisposalRequestSchema.pre('validate', function (next) {
+  this.targetState = disposalState(this.method);
+  if (this.method === 'sale') {
+    if (this.salePrice === undefined || this.salePrice === null)
+      this.invalidate('salePrice', 'Please add the sale price');
+    if (!this.buyer?.name)
+      this.invalidate('buyer.name', 'Please add the buyer');
+  }
+  next();
+});
+
+export default mongoose.model('DisposalRequest', DisposalRequestSchema);
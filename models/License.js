@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// A seat is held by a user or installed on an asset, never both
+const SeatAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  asset: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Asset',
+  },
+  assignedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  assignedAt: { type: Date, default: Date.now },
+  note: { type: String },
+});
+
+const LicenseSchema = new mongoose.Schema(
+  {
+    product: { type: String, required: [true, 'Please add a product'] },
+    vendor: { type: String },
+    // hidden by default; only admins/purchasers read it (see getLicense)
+    licenseKey: { type: String, select: false },
+    seats: {
+      type: Number,
+      required: [true, 'Please add the number of seats'],
+      min: [1, 'seats must be at least 1'],
+    },
+    assignments: {
+      type: [SeatAssignmentSchema],
+      validate: {
+        validator: function (list) {
+          return list.length <= this.seats;
+        },
+        message: 'More seats assigned than the license allows',
+      },
+    },
+    purchasedOn: { type: Date },
+    expiresAt: { type: Date, index: true },
+    cost: { type: Number, min: 0 },
+    notes: { type: String },
+
+    // last expiry reminder sent (see jobs/licenseScheduler.js)
+    lastReminderDays: { type: Number },
+    lastReminderExpiry: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+LicenseSchema.index({ 'assignments.user': 1 });
+LicenseSchema.index({ 'assignments.asset': 1 });
+
+LicenseSchema.virtual('seatsUsed').get(function () {
+  return this.assignments?.length ?? 0;
+});
+
+LicenseSchema.virtual('seatsAvailable').get(function () {
+  return Math.max(this.seats - (this.assignments?.length ?? 0), 0);
+});
+
+export default mongoose.model('License', LicenseSchema);
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// Hierarchy levels, outermost first. A location's parent must be of an
+// earlier level (a desk may sit in a room or directly in a building).
+export const LOCATION_TYPES = ['site', 'building', 'room', 'desk'];
+
+const LocationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Please add a location name'] },
+    code: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+    type: {
+      type: String,
+      required: [true, 'Please add a location type'],
+      enum: LOCATION_TYPES,
+    },
+    parent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Location',
+      default: null,
+      index: true,
+    },
+    // parent chain, outermost first; maintained on save for subtree queries
+    ancestors: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Location',
+        index: true,
+      },
+    ],
+    domain: { type: String }, // company domain / entity the site belongs to
+    address: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LocationSchema.pre('validate', async function (next) {
+  if (!this.isNew && !this.isModified('parent') && !this.isModified('type'))
+    return next();
+
+  // a location's children must still rank below it after a type change
+  if (!this.isNew && this.isModified('type')) {
+    const children = await this.constructor
+      .find({ parent: this._id })
+      .select('type')
+      .lean();
+    const rank = LOCATION_TYPES.indexOf(this.type);
+    const misplaced = children.find(
+      (child) => LOCATION_TYPES.indexOf(child.type) <= rank
+    );
+    if (misplaced)
+      this.invalidate(
+        'type',
+        `A ${this.type} cannot contain a ${misplaced.type}. Move its children first`
+      );
+  }
+
+  if (!this.parent) {
+    if (this.type !== 'site')
+      this.invalidate('parent', `A ${this.type} needs a parent location`);
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor
+    .findById(this.parent)
+    .select('type ancestors');
+  if (!parent) {
+    this.invalidate('parent', `Parent location not found ${this.parent}`);
+    return next();
+  }
+  if (
+    parent._id.equals(this._id) ||
+    parent.ancestors.some((id) => id.equals(this._id))
+  ) {
+    this.invalidate('parent', 'A location cannot be moved inside itself');
+    return next();
+  }
+  if (LOCATION_TYPES.indexOf(parent.type) >= LOCATION_TYPES.indexOf(this.type))
+    this.invalidate(
+      'parent',
+      `A ${this.type} cannot be placed inside a ${parent.type}`
+    );
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  next();
+});
+
+/**
+ * Ids of a location and everything nested under it.
+ */
+LocationSchema.statics.subtreeIds = async function (id) {
+  const descendants = await this.find({ ancestors: id }).select('_id').lean();
+  return [
+    new mongoose.Types.ObjectId(String(id)),
+    ...descendants.map((l) => l._id),
+  ];
+};
+
+export default mongoose.model('Location', LocationSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const MaintenancePlanSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Please add a plan name'] },
+    // a plan covers every asset of a deviceType, or a single asset
+    deviceType: { type: String, index: true },
+    asset: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Asset',
+      index: true,
+    },
+    // service is due after whichever comes first
+    intervalDays: { type: Number, min: [1, 'intervalDays must be at least 1'] },
+    intervalAllocations: {
+      type: Number,
+      min: [1, 'intervalAllocations must be at least 1'],
+    },
+    // days the asset is out of circulation for the service
+    serviceWindowDays: {
+      type: Number,
+      default: 1,
+      min: [1, 'serviceWindowDays must be at least 1'],
+    },
+    // days before the due date to schedule the task and remind
+    leadDays: { type: Number, default: 3, min: 0 },
+    // who services it; falls back to the asset owner
+    responsible: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    instructions: { type: String },
+    vendor: {
+      name: { type: String },
+      contact: { type: String },
+    },
+    // intervals are counted from here until the first service
+    startDate: { type: Date, default: Date.now },
+    active: { type: Boolean, default: true, index: true },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MaintenancePlanSchema.pre('validate', function (next) {
+  if (!this.deviceType === !this.asset)
+    this.invalidate('deviceType', 'Set either a deviceType or an asset');
+  if (!this.intervalDays && !this.intervalAllocations)
+    this.invalidate(
+      'intervalDays',
+      'Set intervalDays and/or intervalAllocations'
+    );
+  next();
+});
+
+export default mongoose.model('MaintenancePlan', MaintenancePlanSchema);
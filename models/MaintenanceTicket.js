@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const TICKET_TYPES = ['Repair', 'Maintenance'];
+export const TICKET_STATUSES = [
+  'scheduled',
+  'open',
+  'in_progress',
+  'awaiting_parts',
+  'closed',
+];
+// statuses that count as "still with the vendor"
+export const ACTIVE_TICKET_STATUSES = ['open', 'in_progress', 'awaiting_parts'];
+
+const AttachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: [true, 'Please add an attachment url'] },
+    name: { type: String },
+    uploadedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const MaintenanceTicketSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Asset',
+      required: true,
+      index: true,
+    },
+    ticketType: {
+      type: String,
+      enum: TICKET_TYPES,
+      default: 'Repair',
+    },
+    issue: {
+      type: String,
+      required: [true, 'Please describe the issue'],
+    },
+    reportedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    vendor: {
+      name: { type: String },
+      contact: { type: String },
+      reference: { type: String }, // vendor's job / RMA number
+    },
+    cost: { type: Number, min: [0, 'Cost cannot be negative'] },
+    expectedReturnDate: { type: Date },
+    status: {
+      type: String,
+      enum: TICKET_STATUSES,
+      default: 'open',
+      index: true,
+    },
+    attachments: [AttachmentSchema],
+
+    // preventive maintenance (see jobs/maintenanceScheduler.js)
+    plan: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'MaintenancePlan',
+      index: true,
+    },
+    scheduledFor: { type: Date },
+    windowEnd: { type: Date },
+    // set when the service window passed with the ticket still open
+    windowOverdueAt: { type: Date },
+    // set when the scheduler took the asset out of circulation
+    availabilityHeld: { type: Boolean, default: false },
+
+    // assetState before the ticket was opened, restored on close by default
+    previousState: { type: String },
+    resolution: { type: String },
+    returnState: { type: String },
+    closedAt: { type: Date },
+    closedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('MaintenanceTicket', MaintenanceTicketSchema);
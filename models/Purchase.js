@@ -28,6 +28,11 @@ const PurchaseSchema = new mongoose.Schema({
     default: Date.now(),
   },
   requestAcceptedAt: { type: Date },
+  // set on restock requests raised automatically for consumables
+  stockItem: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'StockItem',
+  },
 });
 
 export default mongoose.model('Purchase', PurchaseSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Quantity tracked consumables (mice, cables, SIM cards). Unlike Asset,
+// individual units are not tracked; every change goes through a
+// StockTransaction.
+const StockItemSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Please add an item name'] },
+    sku: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+    category: { type: String, index: true },
+    desc: { type: String },
+    unit: { type: String, default: 'pcs' },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Quantity cannot be negative'],
+    },
+    // a purchase request is raised when quantity drops to this level
+    reorderThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, 'reorderThreshold cannot be negative'],
+    },
+    reorderQuantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'reorderQuantity must be at least 1'],
+    },
+    unitPrice: { type: Number, min: 0 },
+    location: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Location',
+    },
+    // receives restock requests; falls back to whoever took the last unit
+    reorderContact: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    // open restock request, so we raise only one at a time
+    pendingPurchase: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Purchase',
+    },
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('StockItem', StockItemSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const StockTransactionSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'StockItem',
+      required: true,
+    },
+    // in: received, out: issued, adjust: stock count correction
+    type: {
+      type: String,
+      enum: ['in', 'out', 'adjust'],
+      required: true,
+    },
+    // signed change in quantity
+    quantity: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    // who received the units (stock-out)
+    issuedTo: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    performedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purchase: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Purchase',
+    },
+    note: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+StockTransactionSchema.index({ item: 1, createdAt: -1 });
+StockTransactionSchema.index({ issuedTo: 1, createdAt: -1 });
+
+export default mongoose.model('StockTransaction', StockTransactionSchema);
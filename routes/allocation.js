@@ -8,14 +8,40 @@ import {
   getAllocationByUserId,
   approveAllocation,
   rejectAllocation,
+  exportAllocations,
+  returnAllocation,
+  verifyReturn,
+  requestExtension,
+  approveExtension,
+  rejectExtension,
+  recallAllocation,
+  ALLOCATION_POPULATE_FIELDS,
+  ALLOCATION_FILTER_FIELDS,
 } from '../controllers/allocation.js';
+import Allocation from '../models/Allocation.js';
 import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
 
 const router = express.Router();
 
 // @route   POST /api/v1/allocation
 // @route   GET  /api/v1/allocation
-router.route('/').post(protect, createAllocation).get(protect, getAllocations);
+router
+  .route('/')
+  .post(protect, createAllocation)
+  .get(
+    protect,
+    advancedResults(Allocation, ALLOCATION_POPULATE_FIELDS, {
+      filterFields: ALLOCATION_FILTER_FIELDS,
+      defaultSort: '-createdAt',
+    }),
+    getAllocations
+  );
+
+// @route   GET /api/v1/allocation/export (before /:id)
+router
+  .route('/export')
+  .get(protect, authorize('admin', 'purchaser'), exportAllocations);
 
 // @route   GET /api/v1/allocation/:id
 // @route   PUT /api/v1/allocation/:id
@@ -37,4 +63,23 @@ router.route('/:id/approve').put(protect, approveAllocation);
 // @route   PUT /api/v1/allocation/:id/reject
 router.route('/:id/reject').put(protect, rejectAllocation);
 
+// @route   PUT /api/v1/allocation/:id/return
+router.route('/:id/return').put(protect, returnAllocation);
+
+// @route   PUT /api/v1/allocation/:id/return/verify
+router.route('/:id/return/verify').put(protect, verifyReturn);
+
+// @route   POST /api/v1/allocation/:id/extension
+router.route('/:id/extension').post(protect, requestExtension);
+
+// @route   PUT /api/v1/allocation/:id/extension/:requestId/approve
+// @route   PUT /api/v1/allocation/:id/extension/:requestId/reject
+router
+  .route('/:id/extension/:requestId/approve')
+  .put(protect, approveExtension);
+router.route('/:id/extension/:requestId/reject').put(protect, rejectExtension);
+
+// @route   PUT /api/v1/allocation/:id/recall
+router.route('/:id/recall').put(protect, recallAllocation);
+
 export default router;
@@ -6,15 +6,101 @@ import {
   getAssetListById,
   getAssetDetailsById,
   getAssets,
+  searchAssets,
+  getAssetByTag,
+  checkoutByTag,
+  checkinByTag,
+  getAssetLabel,
+  getLabelSheet,
+  importAssets,
+  exportAssets,
+  getAssetHistory,
+  ASSET_POPULATE_FIELDS,
+  ASSET_FILTER_FIELDS,
+  assetListFilter,
+  restoreAsset,
+  purgeAsset,
+  getExpiringWarranties,
+  getAssetLifecycle,
+  transitionAssetState,
+  moveAsset,
+  getAssetAvailability,
+  attachComponents,
+  detachComponent,
 } from '../controllers/asset.js';
+import Asset from '../models/Asset.js';
 import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router
   .route('/')
   .post(protect, authorize('admin', 'purchaser'), createAsset)
-  .get(protect, getAssets);
+  .get(
+    protect,
+    advancedResults(Asset, ASSET_POPULATE_FIELDS, {
+      filterFields: ASSET_FILTER_FIELDS,
+      baseFilter: assetListFilter,
+    }),
+    getAssets
+  );
+
+// must be registered before /:id
+router.route('/search').get(protect, searchAssets);
+
+router.route('/warranty/expiring').get(protect, getExpiringWarranties);
+router.route('/lifecycle').get(protect, getAssetLifecycle);
+
+// Tag scan check-out / check-in (chId in body)
+router
+  .route('/tag/checkout')
+  .post(protect, authorize('admin', 'purchaser'), checkoutByTag);
+router
+  .route('/tag/checkin')
+  .post(protect, authorize('admin', 'purchaser'), checkinByTag);
+
+// chId contains a slash ("ch/07"), so accept it raw or URL-encoded
+router.route('/tag/*chId').get(protect, getAssetByTag);
+
+router
+  .route('/export')
+  .get(protect, authorize('admin', 'purchaser'), exportAssets);
+
+// Bulk CSV/XLSX import
+router
+  .route('/import')
+  .post(
+    protect,
+    authorize('admin', 'purchaser'),
+    uploadSpreadsheet,
+    importAssets
+  );
+
+// Printable labels
+router.route('/labels').post(protect, getLabelSheet);
+router.route('/:id/label').get(protect, getAssetLabel);
+
+router.route('/:id/history').get(protect, getAssetHistory);
+
+// Archive management
+router
+  .route('/:id/components')
+  .post(protect, authorize('admin', 'purchaser'), attachComponents);
+router
+  .route('/:id/components/:componentId')
+  .delete(protect, authorize('admin', 'purchaser'), detachComponent);
+router.route('/:id/availability').get(protect, getAssetAvailability);
+router
+  .route('/:id/move')
+  .put(protect, authorize('admin', 'purchaser'), moveAsset);
+router
+  .route('/:id/state')
+  .put(protect, authorize('admin', 'purchaser'), transitionAssetState);
+router.route('/:id/restore').put(protect, authorize('admin'), restoreAsset);
+router.route('/:id/purge').delete(protect, authorize('admin'), purgeAsset);
+
 router
   .route('/:id')
   .put(protect, authorize('admin', 'purchaser'), updateAsset)
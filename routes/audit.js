@@ -0,0 +1,65 @@
+import express from 'express';
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  getCampaignItems,
+  scanAsset,
+  updateCampaignItem,
+  closeCampaign,
+  getCampaignReport,
+  campaignItemsFilter,
+  CAMPAIGN_POPULATE_FIELDS,
+  CAMPAIGN_FILTER_FIELDS,
+  AUDIT_ITEM_POPULATE_FIELDS,
+  AUDIT_ITEM_FILTER_FIELDS,
+} from '../controllers/audit.js';
+import AuditCampaign from '../models/AuditCampaign.js';
+import AuditItem from '../models/AuditItem.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/audit
+// @route   GET  /api/v1/audit
+router
+  .route('/')
+  .post(protect, authorize('admin'), createCampaign)
+  .get(
+    protect,
+    advancedResults(AuditCampaign, CAMPAIGN_POPULATE_FIELDS, {
+      filterFields: CAMPAIGN_FILTER_FIELDS,
+    }),
+    getCampaigns
+  );
+
+// @route   GET /api/v1/audit/:id
+router.route('/:id').get(protect, getCampaign);
+
+// @route   GET /api/v1/audit/:id/items
+router.route('/:id/items').get(
+  protect,
+  advancedResults(AuditItem, AUDIT_ITEM_POPULATE_FIELDS, {
+    filterFields: AUDIT_ITEM_FILTER_FIELDS,
+    defaultSort: 'chId',
+    baseFilter: campaignItemsFilter,
+  }),
+  getCampaignItems
+);
+
+// @route   PUT /api/v1/audit/:id/items/:itemId
+router.route('/:id/items/:itemId').put(protect, updateCampaignItem);
+
+// @route   POST /api/v1/audit/:id/scan
+router.route('/:id/scan').post(protect, scanAsset);
+
+// @route   PUT /api/v1/audit/:id/close
+router.route('/:id/close').put(protect, authorize('admin'), closeCampaign);
+
+// @route   GET /api/v1/audit/:id/report
+router
+  .route('/:id/report')
+  .get(protect, authorize('admin', 'purchaser'), getCampaignReport);
+
+export default router;
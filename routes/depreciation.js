@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  createPolicy,
+  getPolicies,
+  updatePolicy,
+  deletePolicy,
+  getDepreciationReport,
+  getAssetSchedule,
+} from '../controllers/depreciation.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/depreciation/policies
+// @route   GET  /api/v1/depreciation/policies
+router
+  .route('/policies')
+  .post(protect, authorize('admin'), createPolicy)
+  .get(protect, getPolicies);
+
+// @route   PUT    /api/v1/depreciation/policies/:id
+// @route   DELETE /api/v1/depreciation/policies/:id
+router
+  .route('/policies/:id')
+  .put(protect, authorize('admin'), updatePolicy)
+  .delete(protect, authorize('admin'), deletePolicy);
+
+// @route   GET /api/v1/depreciation/report
+router
+  .route('/report')
+  .get(protect, authorize('admin', 'purchaser'), getDepreciationReport);
+
+// @route   GET /api/v1/depreciation/asset/:id
+router.route('/asset/:id').get(protect, getAssetSchedule);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  createDeviceType,
+  getDeviceTypes,
+  getDeviceType,
+  updateDeviceType,
+  deleteDeviceType,
+  DEVICE_TYPE_FILTER_FIELDS,
+} from '../controllers/deviceType.js';
+import DeviceType from '../models/DeviceType.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/devicetype
+// @route   GET  /api/v1/devicetype
+router
+  .route('/')
+  .post(protect, authorize('admin'), createDeviceType)
+  .get(
+    protect,
+    advancedResults(DeviceType, null, {
+      filterFields: DEVICE_TYPE_FILTER_FIELDS,
+      defaultSort: 'name',
+    }),
+    getDeviceTypes
+  );
+
+// @route   GET    /api/v1/devicetype/:id
+// @route   PUT    /api/v1/devicetype/:id
+// @route   DELETE /api/v1/devicetype/:id
+router
+  .route('/:id')
+  .get(protect, getDeviceType)
+  .put(protect, authorize('admin'), updateDeviceType)
+  .delete(protect, authorize('admin'), deleteDeviceType);
+
+export default router;
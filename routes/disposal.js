@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  createDisposal,
+  getDisposals,
+  getDisposal,
+  confirmDataWipe,
+  approveDisposal,
+  rejectDisposal,
+  cancelDisposal,
+  DISPOSAL_POPULATE_FIELDS,
+  DISPOSAL_FILTER_FIELDS,
+} from '../controllers/disposal.js';
+import DisposalRequest from '../models/DisposalRequest.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/disposal
+// @route   GET  /api/v1/disposal
+router
+  .route('/')
+  .post(protect, authorize('admin', 'purchaser'), createDisposal)
+  .get(
+    protect,
+    authorize('admin', 'purchaser'),
+    advancedResults(DisposalRequest, DISPOSAL_POPULATE_FIELDS, {
+      filterFields: DISPOSAL_FILTER_FIELDS,
+    }),
+    getDisposals
+  );
+
+// @route   GET /api/v1/disposal/:id
+router.route('/:id').get(protect, authorize('admin', 'purchaser'), getDisposal);
+
+// @route   PUT /api/v1/disposal/:id/wipe
+router
+  .route('/:id/wipe')
+  .put(protect, authorize('admin', 'purchaser'), confirmDataWipe);
+
+// @route   PUT /api/v1/disposal/:id/approve
+router.route('/:id/approve').put(protect, authorize('admin'), approveDisposal);
+
+// @route   PUT /api/v1/disposal/:id/reject
+router.route('/:id/reject').put(protect, authorize('admin'), rejectDisposal);
+
+// @route   PUT /api/v1/disposal/:id/cancel
+router
+  .route('/:id/cancel')
+  .put(protect, authorize('admin', 'purchaser'), cancelDisposal);
+
+export default router;
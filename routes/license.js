@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  createLicense,
+  getLicenses,
+  getExpiringLicenses,
+  getLicense,
+  updateLicense,
+  deleteLicense,
+  assignSeat,
+  unassignSeat,
+  LICENSE_POPULATE_FIELDS,
+  LICENSE_FILTER_FIELDS,
+} from '../controllers/license.js';
+import License from '../models/License.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/license
+// @route   GET  /api/v1/license
+router
+  .route('/')
+  .post(protect, authorize('admin', 'purchaser'), createLicense)
+  .get(
+    protect,
+    advancedResults(License, LICENSE_POPULATE_FIELDS, {
+      filterFields: LICENSE_FILTER_FIELDS,
+    }),
+    getLicenses
+  );
+
+// @route   GET /api/v1/license/expiring (before /:id)
+router.route('/expiring').get(protect, getExpiringLicenses);
+
+// @route   GET    /api/v1/license/:id
+// @route   PUT    /api/v1/license/:id
+// @route   DELETE /api/v1/license/:id
+router
+  .route('/:id')
+  .get(protect, getLicense)
+  .put(protect, authorize('admin', 'purchaser'), updateLicense)
+  .delete(protect, authorize('admin'), deleteLicense);
+
+// @route   POST   /api/v1/license/:id/assignments
+// @route   DELETE /api/v1/license/:id/assignments/:assignmentId
+router
+  .route('/:id/assignments')
+  .post(protect, authorize('admin', 'purchaser'), assignSeat);
+router
+  .route('/:id/assignments/:assignmentId')
+  .delete(protect, authorize('admin', 'purchaser'), unassignSeat);
+
+export default router;
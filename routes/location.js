@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  createLocation,
+  getLocations,
+  getLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationInventory,
+  LOCATION_POPULATE_FIELDS,
+  LOCATION_FILTER_FIELDS,
+} from '../controllers/location.js';
+import Location from '../models/Location.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/location
+// @route   GET  /api/v1/location
+router
+  .route('/')
+  .post(protect, authorize('admin'), createLocation)
+  .get(
+    protect,
+    advancedResults(Location, LOCATION_POPULATE_FIELDS, {
+      filterFields: LOCATION_FILTER_FIELDS,
+      defaultSort: 'name',
+    }),
+    getLocations
+  );
+
+// @route   GET /api/v1/location/:id/inventory
+router.route('/:id/inventory').get(protect, getLocationInventory);
+
+// @route   GET    /api/v1/location/:id
+// @route   PUT    /api/v1/location/:id
+// @route   DELETE /api/v1/location/:id
+router
+  .route('/:id')
+  .get(protect, getLocation)
+  .put(protect, authorize('admin'), updateLocation)
+  .delete(protect, authorize('admin'), deleteLocation);
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import {
+  createTicket,
+  getTickets,
+  getTicket,
+  updateTicket,
+  addTicketAttachments,
+  closeTicket,
+  TICKET_POPULATE_FIELDS,
+  TICKET_FILTER_FIELDS,
+} from '../controllers/maintenance.js';
+import {
+  createPlan,
+  getPlans,
+  getPlan,
+  updatePlan,
+  deletePlan,
+  PLAN_POPULATE_FIELDS,
+  PLAN_FILTER_FIELDS,
+} from '../controllers/maintenancePlan.js';
+import MaintenanceTicket from '../models/MaintenanceTicket.js';
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/maintenance
+// @route   GET  /api/v1/maintenance
+router
+  .route('/')
+  .post(protect, createTicket)
+  .get(
+    protect,
+    advancedResults(MaintenanceTicket, TICKET_POPULATE_FIELDS, {
+      filterFields: TICKET_FILTER_FIELDS,
+    }),
+    getTickets
+  );
+
+// Preventive maintenance plans (before /:id)
+// @route   POST /api/v1/maintenance/plans
+// @route   GET  /api/v1/maintenance/plans
+router
+  .route('/plans')
+  .post(protect, authorize('admin', 'purchaser'), createPlan)
+  .get(
+    protect,
+    advancedResults(MaintenancePlan, PLAN_POPULATE_FIELDS, {
+      filterFields: PLAN_FILTER_FIELDS,
+    }),
+    getPlans
+  );
+
+// @route   GET    /api/v1/maintenance/plans/:id
+// @route   PUT    /api/v1/maintenance/plans/:id
+// @route   DELETE /api/v1/maintenance/plans/:id
+router
+  .route('/plans/:id')
+  .get(protect, getPlan)
+  .put(protect, authorize('admin', 'purchaser'), updatePlan)
+  .delete(protect, authorize('admin'), deletePlan);
+
+// @route   GET /api/v1/maintenance/:id
+// @route   PUT /api/v1/maintenance/:id
+router
+  .route('/:id')
+  .get(protect, getTicket)
+  .put(protect, authorize('admin', 'purchaser'), updateTicket);
+
+// @route   POST /api/v1/maintenance/:id/attachments
+router.route('/:id/attachments').post(protect, addTicketAttachments);
+
+// @route   PUT /api/v1/maintenance/:id/close
+router
+  .route('/:id/close')
+  .put(protect, authorize('admin', 'purchaser'), closeTicket);
+
+export default router;
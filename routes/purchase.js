@@ -4,12 +4,30 @@ import {
   updateRequest,
   getRequests,
   getAllRequests,
+  exportRequests,
+  PURCHASE_POPULATE_FIELDS,
+  PURCHASE_FILTER_FIELDS,
 } from '../controllers/purchase.js';
+import Purchase from '../models/Purchase.js';
 import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
 
 const router = express.Router();
 
-router.route('/').post(protect, createRequest).get(protect, getAllRequests);
+router
+  .route('/')
+  .post(protect, createRequest)
+  .get(
+    protect,
+    advancedResults(Purchase, PURCHASE_POPULATE_FIELDS, {
+      filterFields: PURCHASE_FILTER_FIELDS,
+      defaultSort: '-requestCreatedAt',
+    }),
+    getAllRequests
+  );
+router
+  .route('/export')
+  .get(protect, authorize('admin', 'purchaser'), exportRequests);
 router.route('/:id').get(protect, getRequests);
 
 router.put(
@@ -0,0 +1,66 @@
+import express from 'express';
+import {
+  createStockItem,
+  getStockItems,
+  getStockItem,
+  updateStockItem,
+  stockIn,
+  stockOut,
+  adjustStock,
+  getStockTransactions,
+  lowStockFilter,
+  STOCK_POPULATE_FIELDS,
+  STOCK_FILTER_FIELDS,
+  STOCK_TRANSACTION_POPULATE_FIELDS,
+  STOCK_TRANSACTION_FILTER_FIELDS,
+} from '../controllers/stock.js';
+import StockItem from '../models/StockItem.js';
+import StockTransaction from '../models/StockTransaction.js';
+import { protect, authorize } from '../middleware/auth.js';
+import advancedResults from '../middleware/advancedResults.js';
+
+const router = express.Router();
+
+// @route   POST /api/v1/stock
+// @route   GET  /api/v1/stock
+router
+  .route('/')
+  .post(protect, authorize('admin', 'purchaser'), createStockItem)
+  .get(
+    protect,
+    advancedResults(StockItem, STOCK_POPULATE_FIELDS, {
+      filterFields: STOCK_FILTER_FIELDS,
+      defaultSort: 'name',
+      baseFilter: lowStockFilter,
+    }),
+    getStockItems
+  );
+
+// @route   GET /api/v1/stock/transactions (before /:id)
+router.route('/transactions').get(
+  protect,
+  advancedResults(StockTransaction, STOCK_TRANSACTION_POPULATE_FIELDS, {
+    filterFields: STOCK_TRANSACTION_FILTER_FIELDS,
+  }),
+  getStockTransactions
+);
+
+// @route   GET /api/v1/stock/:id
+// @route   PUT /api/v1/stock/:id
+router
+  .route('/:id')
+  .get(protect, getStockItem)
+  .put(protect, authorize('admin', 'purchaser'), updateStockItem);
+
+// @route   POST /api/v1/stock/:id/in
+// @route   POST /api/v1/stock/:id/out
+// @route   POST /api/v1/stock/:id/adjust
+router.route('/:id/in').post(protect, authorize('admin', 'purchaser'), stockIn);
+router
+  .route('/:id/out')
+  .post(protect, authorize('admin', 'purchaser'), stockOut);
+router
+  .route('/:id/adjust')
+  .post(protect, authorize('admin', 'purchaser'), adjustStock);
+
+export default router;
@@ -0,0 +1,115 @@
+// scripts/migrateAllocationDurations.js
+//
+// Convert legacy string `duration.startTime` / `duration.endTime` values on
+// allocations into Dates. Times without an offset are read in --tz (default
+// ALLOCATION_TIMEZONE, then UTC); "dd/mm/yyyy" is read day first. Values
+// that cannot be read are moved to `duration.raw` and listed so they can be
+// fixed by hand.
+//
+//   node scripts/migrateAllocationDurations.js --dry-run
+//   node scripts/migrateAllocationDurations.js --tz=Asia/Kolkata
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import colors from 'colors';
+import connectDB from '../config/db.js';
+import Allocation from '../models/Allocation.js';
+import { isValidTimeZone, parseZonedDate } from '../utils/timezone.js';
+
+dotenv.config({ path: './config/config.env' });
+
+const dryRun = process.argv.includes('--dry-run');
+const tzArg = process.argv.find((a) => a.startsWith('--tz='));
+const timeZone = tzArg
+  ? tzArg.slice('--tz='.length)
+  : process.env.ALLOCATION_TIMEZONE || 'UTC';
+
+async function migrate() {
+  if (!isValidTimeZone(timeZone))
+    throw new Error(`Unknown time zone ${timeZone}`);
+  await connectDB();
+
+  // Bypass the schema: legacy values are strings, which it now casts
+  const cursor = Allocation.collection.find(
+    {
+      $or: [
+        { 'duration.startTime': { $type: 'string' } },
+        { 'duration.endTime': { $type: 'string' } },
+      ],
+    },
+    { projection: { duration: 1, status: 1 } }
+  );
+
+  let converted = 0;
+  const unparsed = [];
+  const reversed = [];
+
+  for await (const allocation of cursor) {
+    const set = { 'duration.timeZone': timeZone };
+    const unset = {};
+    const dates = {};
+
+    for (const key of ['startTime', 'endTime']) {
+      const value = allocation.duration?.[key];
+      if (typeof value !== 'string') {
+        dates[key] = value;
+        continue;
+      }
+      if (!value.trim()) {
+        unset[`duration.${key}`] = 1;
+        continue;
+      }
+      const date = parseZonedDate(value, timeZone);
+      if (date) {
+        set[`duration.${key}`] = date;
+        dates[key] = date;
+      } else {
+        unset[`duration.${key}`] = 1;
+        set[`duration.raw.${key}`] = value;
+        unparsed.push(
+          `${allocation._id} (${allocation.status}) ${key}: "${value}"`
+        );
+      }
+    }
+
+    if (dates.startTime && dates.endTime && dates.endTime <= dates.startTime)
+      reversed.push(
+        `${allocation._id} (${
+          allocation.status
+        }): ${dates.startTime.toISOString()} -> ${dates.endTime.toISOString()}`
+      );
+    converted++;
+
+    if (!dryRun)
+      await Allocation.collection.updateOne(
+        { _id: allocation._id },
+        Object.keys(unset).length ? { $set: set, $unset: unset } : { $set: set }
+      );
+  }
+
+  // createIndexes only adds the schema's indexes; syncIndexes would also
+  // drop any index created outside the schema
+  if (!dryRun) await Allocation.createIndexes();
+
+  console.log(
+    `${
+      dryRun ? '[dry run] ' : ''
+    }${converted} allocations converted (${timeZone}), ${
+      unparsed.length
+    } value(s) moved to duration.raw`.green
+  );
+  if (unparsed.length) {
+    console.log('Could not parse (set the duration manually):'.yellow);
+    unparsed.forEach((line) => console.log(`  ${line}`));
+  }
+  if (reversed.length) {
+    console.log('End is not after start (check these):'.yellow);
+    reversed.forEach((line) => console.log(`  ${line}`));
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error(`Duration migration failed: ${err.message}`.red);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+// scripts/migrateWarranty.js
+//
+// Convert legacy free-form `warranty` strings into structured warranty data.
+// Text that cannot be parsed is kept in `warranty.raw` and listed so it can
+// be fixed by hand.
+//
+//   node scripts/migrateWarranty.js --dry-run
+//   node scripts/migrateWarranty.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import colors from 'colors';
+import connectDB from '../config/db.js';
+import Asset from '../models/Asset.js';
+import { parseWarrantyText } from '../utils/warranty.js';
+
+dotenv.config({ path: './config/config.env' });
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await connectDB();
+
+  // Bypass the schema: legacy values are strings, which it no longer accepts
+  const cursor = Asset.collection.find(
+    { warranty: { $type: 'string' } },
+    { projection: { name: 1, chId: 1, warranty: 1, purchasedOn: 1 } }
+  );
+
+  let parsed = 0;
+  const unparsed = [];
+
+  for await (const asset of cursor) {
+    const warranty = parseWarrantyText(asset.warranty, asset.purchasedOn);
+    if (warranty.end) parsed++;
+    else
+      unparsed.push(
+        `${asset._id} ${asset.chId || asset.name}: "${warranty.raw}"`
+      );
+
+    if (!dryRun)
+      await Asset.collection.updateOne(
+        { _id: asset._id },
+        { $set: { warranty } }
+      );
+  }
+
+  console.log(
+    `${dryRun ? '[dry run] ' : ''}${parsed} warranties parsed, ${
+      unparsed.length
+    } kept as raw text`.green
+  );
+  if (unparsed.length) {
+    console.log('Could not parse (set warranty.end manually):'.yellow);
+    unparsed.forEach((line) => console.log(`  ${line}`));
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error(`Warranty migration failed: ${err.message}`.red);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,6 +7,9 @@ import errorHandler from './middleware/errorHandler.js';
 import connectDB from './config/db.js';
 import path from 'path';
 import { startAvailabilityScheduler } from './jobs/availabilityScheduler.js';
+import { startWarrantyScheduler } from './jobs/warrantyScheduler.js';
+import { startMaintenanceScheduler } from './jobs/maintenanceScheduler.js';
+import { startLicenseScheduler } from './jobs/licenseScheduler.js';
 import { initFirebaseAdmin } from './utils/firebaseAdmin.js';
 
 dotenv.config({ path: './config/config.env' });
@@ -18,10 +21,21 @@ import auth from './routes/auth.js';
 import purchase from './routes/purchase.js';
 import asset from './routes/asset.js';
 import allocation from './routes/allocation.js';
+import maintenance from './routes/maintenance.js';
+import location from './routes/location.js';
+import stock from './routes/stock.js';
+import license from './routes/license.js';
+import audit from './routes/audit.js';
+import depreciation from './routes/depreciation.js';
+import disposal from './routes/disposal.js';
+import deviceType from './routes/deviceType.js';
 
 const app = express();
 
 startAvailabilityScheduler();
+startWarrantyScheduler();
+startMaintenanceScheduler();
+startLicenseScheduler();
 (async () => {
   await initFirebaseAdmin();
 })();
@@ -42,6 +56,14 @@ app.use('/api/v1/auth', auth);
 app.use('/api/v1/purchase', purchase);
 app.use('/api/v1/asset', asset);
 app.use('/api/v1/allocation', allocation);
+app.use('/api/v1/maintenance', maintenance);
+app.use('/api/v1/location', location);
+app.use('/api/v1/stock', stock);
+app.use('/api/v1/license', license);
+app.use('/api/v1/audit', audit);
+app.use('/api/v1/depreciation', depreciation);
+app.use('/api/v1/disposal', disposal);
+app.use('/api/v1/devicetype', deviceType);
 
 // Error Middleware
 app.use(errorHandler);
@@ -1,7 +1,9 @@
 class ErrorResponse extends Error {
-  constructor(message, statusCode) {
+  // `details` is merged into the JSON error body (e.g. { conflicts: [...] })
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    if (details) this.details = details;
   }
 }
 export default ErrorResponse;
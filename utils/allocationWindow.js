@@ -0,0 +1,203 @@
+// utils/allocationWindow.js
+import Allocation, {
+  ACTIVE_ALLOCATION_STATUSES,
+} from '../models/Allocation.js';
+import Asset from '../models/Asset.js';
+import ErrorResponse from './ErrorResponse.js';
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseZonedDate,
+} from './timezone.js';
+
+// allocations that hold (or will hold) their asset
+export const BOOKED_STATUSES = ['pending', ...ACTIVE_ALLOCATION_STATUSES];
+
+// a booking lock older than this is treated as abandoned (crashed request)
+const BOOKING_LOCK_MS = 30 * 1000;
+
+/**
+ * Read a requested `duration` ({ startTime?, endTime?, timeZone? }) into
+ * Dates. Times without an offset are read in `timeZone` (default
+ * ALLOCATION_TIMEZONE). Throws a 400 ErrorResponse for an unknown zone,
+ * unreadable times or an end that is not after the start.
+ *
+ * @returns {{ startTime?: Date, endTime?: Date, timeZone: string } | undefined}
+ */
+export function normalizeDuration(duration) {
+  if (duration === undefined || duration === null) return undefined;
+  if (typeof duration !== 'object')
+    throw new ErrorResponse('duration must be an object', 400);
+
+  const timeZone = duration.timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone))
+    throw new ErrorResponse(`Unknown time zone ${timeZone}`, 400);
+
+  const result = { timeZone };
+  for (const key of ['startTime', 'endTime']) {
+    const value = duration[key];
+    if (value === undefined || value === null || value === '') continue;
+    const date = parseZonedDate(value, timeZone);
+    if (!date)
+      throw new ErrorResponse(
+        `Invalid duration.${key} "${value}". Use an ISO date/time or dd/mm/yyyy [hh:mm]`,
+        400
+      );
+    result[key] = date;
+  }
+  if (result.startTime && result.endTime && result.endTime <= result.startTime)
+    throw new ErrorResponse('duration.endTime must be after startTime', 400);
+  return result;
+}
+
+/**
+ * The period an allocation holds its asset: from duration.startTime (or
+ * when it was requested) until duration.endTime. `end` is null for
+ * open-ended allocations, which hold the asset until returned.
+ */
+export function allocationWindow(allocation) {
+  const start =
+    allocation.duration?.startTime ||
+    allocation.allocatedRequestDate ||
+    allocation.createdAt ||
+    new Date();
+  const end = allocation.duration?.endTime;
+  return { start: new Date(start), end: end ? new Date(end) : null };
+}
+
+/**
+ * Window of a normalized duration (see normalizeDuration) requested now.
+ */
+export function requestedWindow(duration, requestedAt = new Date()) {
+  return allocationWindow({ duration, allocatedRequestDate: requestedAt });
+}
+
+/**
+ * Whether two windows share any time (open ends run forever).
+ */
+export function overlaps(a, b) {
+  const aEnd = a.end ? a.end.getTime() : Infinity;
+  const bEnd = b.end ? b.end.getTime() : Infinity;
+  return a.start.getTime() < bEnd && b.start.getTime() < aEnd;
+}
+
+/**
+ * Allocations of `assetId` in `statuses` whose window overlaps `window`,
+ * soonest first, as { allocation, start, end }.
+ */
+export async function findConflicts(
+  assetId,
+  window,
+  { statuses = BOOKED_STATUSES, excludeId } = {}
+) {
+  // narrow on the indexed duration fields; allocations without a start
+  // fall back to their request date, checked below
+  const filter = {
+    asset: assetId,
+    status: { $in: statuses },
+    $and: [
+      {
+        $or: [
+          { 'duration.endTime': null },
+          { 'duration.endTime': { $gt: window.start } },
+        ],
+      },
+    ],
+  };
+  if (window.end)
+    filter.$and.push({
+      $or: [
+        { 'duration.startTime': null },
+        { 'duration.startTime': { $lt: window.end } },
+      ],
+    });
+  if (excludeId) filter._id = { $ne: excludeId };
+  const allocations = await Allocation.find(filter)
+    .populate({ path: 'allocatedTo', select: 'name email' })
+    .lean();
+
+  return allocations
+    .map((allocation) => ({ allocation, ...allocationWindow(allocation) }))
+    .filter((booking) => overlaps(booking, window))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * What a booking looks like in conflict and availability responses.
+ */
+export function bookingSummary({ allocation, start, end }) {
+  return {
+    allocation: allocation._id,
+    status: allocation.status,
+    allocationType: allocation.allocationType,
+    allocatedTo: allocation.allocatedTo,
+    purpose: allocation.purpose,
+    start,
+    end,
+  };
+}
+
+/**
+ * Throw a 409 ErrorResponse listing the bookings that overlap `window`.
+ */
+export async function assertNoConflicts(assetId, window, options) {
+  const conflicts = await findConflicts(assetId, window, options);
+  if (!conflicts.length) return;
+  throw new ErrorResponse(
+    `Asset is already booked for ${conflicts.length} overlapping period(s)`,
+    409,
+    { conflicts: conflicts.map(bookingSummary) }
+  );
+}
+
+/**
+ * Run `fn` (a conflict check and the write it guards) while holding the
+ * asset's booking lock, so two requests cannot both pass the check before
+ * either has written. Throws a 409 ErrorResponse if the lock is taken.
+ * Runs `fn` unlocked when there is no asset.
+ */
+export async function withBookingLock(assetId, fn) {
+  if (!assetId) return fn();
+
+  const lockedAt = new Date();
+  const locked = await Asset.findOneAndUpdate(
+    {
+      _id: assetId,
+      $or: [
+        { bookingLockedAt: null },
+        { bookingLockedAt: { $lt: new Date(lockedAt - BOOKING_LOCK_MS) } },
+      ],
+    },
+    { bookingLockedAt: lockedAt }
+  ).select('_id');
+  if (!locked)
+    throw new ErrorResponse(
+      'Asset is being booked by another request. Try again',
+      409
+    );
+
+  try {
+    return await fn();
+  } finally {
+    await Asset.updateOne(
+      { _id: assetId, bookingLockedAt: lockedAt },
+      { $unset: { bookingLockedAt: 1 } }
+    );
+  }
+}
+
+/**
+ * Gaps between `booked` windows (sorted by start) within from..to.
+ */
+export function freeSlots(booked, from, to) {
+  const free = [];
+  let cursor = from;
+  for (const { start, end } of booked) {
+    if (start > cursor) free.push({ start: cursor, end: start });
+    if (!end) return free;
+    if (end > cursor) cursor = end;
+    if (cursor >= to) return free;
+  }
+  if (cursor < to) free.push({ start: cursor, end: to });
+  return free;
+}
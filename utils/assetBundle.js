@@ -0,0 +1,58 @@
+// utils/assetBundle.js
+import Asset from '../models/Asset.js';
+import ErrorResponse from './ErrorResponse.js';
+import { updateAssetTracked } from './assetHistory.js';
+
+// fields that follow the parent asset onto its attached components
+export const BUNDLE_FIELDS = ['availablity', 'allocation', 'owner', 'location'];
+
+/**
+ * Throw a 409 ErrorResponse if the asset is attached to a parent and so may
+ * only be allocated together with it.
+ */
+export async function assertNotAttached(asset) {
+  if (!asset?.parent) return;
+  const parent = await Asset.findById(asset.parent).select('name chId');
+  throw new ErrorResponse(
+    `Asset ${asset.chId || asset._id} is attached to ${
+      parent ? `${parent.name} (${parent.chId})` : asset.parent
+    }. Allocate the parent or detach it first`,
+    409
+  );
+}
+
+/**
+ * Apply the bundle fields of `update` to every component of `parentId`,
+ * recording history on each. Returns the number of components updated.
+ */
+export async function cascadeToComponents(parentId, update, context) {
+  const childUpdate = {};
+  for (const field of BUNDLE_FIELDS) {
+    if (update[field] !== undefined) childUpdate[field] = update[field];
+  }
+  if (!Object.keys(childUpdate).length) return 0;
+
+  const children = await Asset.find({ parent: parentId }).select('_id');
+  for (const child of children) {
+    await updateAssetTracked(child._id, childUpdate, {
+      ...context,
+      note: context.note || 'Follows parent asset',
+    });
+  }
+  return children.length;
+}
+
+/**
+ * updateAssetTracked for a parent asset, cascading the bundle fields to
+ * its components.
+ */
+export async function updateBundleTracked(
+  assetId,
+  update,
+  context,
+  options = {}
+) {
+  const updated = await updateAssetTracked(assetId, update, context, options);
+  if (updated) await cascadeToComponents(updated._id, update, context);
+  return updated;
+}
@@ -0,0 +1,96 @@
+// utils/assetHistory.js
+import Asset from '../models/Asset.js';
+import AssetHistory from '../models/AssetHistory.js';
+
+const UNTRACKED_PATHS = ['_id', '__v'];
+
+/**
+ * Read a dotted path ("warranty.end") from a plain object.
+ */
+function getPath(obj, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Normalize values so ObjectIds, Dates and arrays compare and store cleanly.
+ */
+function normalize(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object' && value._bsontype === 'ObjectId')
+    return String(value);
+  if (typeof value === 'object' && value._id) return String(value._id);
+  return value;
+}
+
+/**
+ * Field level diff between two asset snapshots (plain objects).
+ * Returns [{ field, from, to }] for every schema path whose value changed.
+ */
+export function diffAsset(before = {}, after = {}) {
+  const changes = [];
+  for (const field of Object.keys(Asset.schema.paths)) {
+    if (UNTRACKED_PATHS.includes(field)) continue;
+    const from = normalize(getPath(before, field));
+    const to = normalize(getPath(after, field));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Store one history entry, or several at once when given an array.
+ * Failures are logged, never thrown, so history cannot break the request
+ * that triggered it.
+ *
+ * @param {Object|Object[]} entry { asset, action, actor?, allocation?, changes?, note? }
+ */
+export async function recordAssetHistory(entry) {
+  try {
+    if (Array.isArray(entry)) return await AssetHistory.insertMany(entry);
+    return await AssetHistory.create(entry);
+  } catch (err) {
+    const action = Array.isArray(entry) ? entry[0]?.action : entry.action;
+    console.error(`Failed to record asset history (${action}):`, err);
+    return null;
+  }
+}
+
+/**
+ * findByIdAndUpdate that also records the resulting diff.
+ *
+ * @param {string} assetId
+ * @param {Object} update     mongoose update document
+ * @param {Object} context    { action, actor?, allocation?, note? }
+ * @param {Object} [options]  extra findOneAndUpdate options; `filter` adds
+ *                            conditions the asset must still match
+ * @returns updated asset document (or null if not found / filter no longer matches)
+ */
+export async function updateAssetTracked(
+  assetId,
+  update,
+  context,
+  options = {}
+) {
+  const before = await Asset.findById(assetId).lean();
+  if (!before) return null;
+
+  const { filter = {}, ...queryOptions } = options;
+  const updated = await Asset.findOneAndUpdate(
+    { _id: assetId, ...filter },
+    update,
+    { new: true, ...queryOptions }
+  );
+  if (!updated) return null;
+
+  const changes = diffAsset(before, updated.toObject());
+  if (changes.length) {
+    await recordAssetHistory({ asset: assetId, changes, ...context });
+  }
+  return updated;
+}
@@ -0,0 +1,293 @@
+// utils/assetImport.js
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import User from '../models/User.js';
+import Location from '../models/Location.js';
+import { parseWarrantyText, parseDate } from './warranty.js';
+import {
+  parseBoolean,
+  checkCustomFields,
+  definitionsByDeviceType,
+} from './customFields.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Normalized header (lowercase, letters/digits only) -> Asset field
+const COLUMN_ALIASES = {
+  name: 'name',
+  assetname: 'name',
+  model: 'model',
+  modelno: 'model',
+  modelnumber: 'model',
+  desc: 'desc',
+  description: 'desc',
+  serialno: 'serialNo',
+  serial: 'serialNo',
+  serialnumber: 'serialNo',
+  warranty: 'warranty',
+  warrantydate: 'warranty',
+  warrantystart: 'warranty.start',
+  warrantyend: 'warranty.end',
+  warrantyexpiry: 'warranty.end',
+  warrantyprovider: 'warranty.provider',
+  warrantycoverage: 'warranty.coverageType',
+  coveragetype: 'warranty.coverageType',
+  transferable: 'transferable',
+  assetstate: 'assetState',
+  state: 'assetState',
+  invoiceavailable: 'invoiceAvailable',
+  invoice: 'invoiceAvailable',
+  invoiceurl: 'invoiceUrl',
+  photourl: 'photoUrl',
+  devicetype: 'deviceType',
+  type: 'deviceType',
+  availablity: 'availablity',
+  availability: 'availablity',
+  available: 'availablity',
+  purchasedon: 'purchasedOn',
+  purchasedate: 'purchasedOn',
+  purchasecost: 'purchaseCost',
+  cost: 'purchaseCost',
+  price: 'purchaseCost',
+  owner: 'owner',
+  owneremail: 'owner',
+  purchaser: 'purchaser',
+  purchaseremail: 'purchaser',
+  location: 'location',
+  locationcode: 'location',
+};
+
+const IMPORTABLE_FIELDS = new Set(Object.values(COLUMN_ALIASES));
+const BOOLEAN_FIELDS = ['transferable', 'invoiceAvailable', 'availablity'];
+const DATE_FIELDS = ['warranty.start', 'warranty.end'];
+const USER_FIELDS = ['owner', 'purchaser'];
+
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Map one spreadsheet row to Asset fields.
+ * `mapping` optionally overrides header -> field ({ "Device": "name" }).
+ * Returns { fields, extras, errors }; owner/purchaser are left as raw
+ * id/email and unmapped columns are kept in `extras` (normalized header ->
+ * value) for custom fields.
+ */
+function mapRow(values, mapping = {}) {
+  const fields = {};
+  const extras = {};
+  const errors = [];
+  const states = Asset.schema.path('assetState').enumValues;
+
+  for (const [header, raw] of Object.entries(values)) {
+    const field = IMPORTABLE_FIELDS.has(mapping[header])
+      ? mapping[header]
+      : COLUMN_ALIASES[normalizeHeader(header)];
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!value) continue;
+    if (!field) {
+      extras[normalizeHeader(header)] = value;
+      continue;
+    }
+
+    if (BOOLEAN_FIELDS.includes(field)) {
+      const parsed = parseBoolean(value);
+      if (parsed === null)
+        errors.push({
+          field,
+          message: `${field} must be yes/no or true/false`,
+        });
+      else fields[field] = parsed;
+    } else if (DATE_FIELDS.includes(field)) {
+      const parsed = parseDate(value);
+      if (!parsed) errors.push({ field, message: `${field} is not a date` });
+      else fields[field] = parsed;
+    } else if (field === 'assetState') {
+      // accept any casing, store the canonical enum value
+      const match = states.find((s) => s.toLowerCase() === value.toLowerCase());
+      fields.assetState = match || value;
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  // Free-form warranty text becomes structured data; explicit
+  // warranty.* columns win over whatever it parsed to
+  if (typeof fields.warranty === 'string') {
+    const parsed = parseWarrantyText(fields.warranty, fields.purchasedOn);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value && fields[`warranty.${key}`] === undefined)
+        fields[`warranty.${key}`] = value;
+    }
+    delete fields.warranty;
+  }
+
+  return { fields, extras, errors };
+}
+
+/**
+ * Pick the deviceType's custom fields out of a row's unmapped columns,
+ * matching a column on the field key or label.
+ */
+function mapCustomFields(extras, definitions = []) {
+  const values = {};
+  for (const field of definitions) {
+    const value =
+      extras[normalizeHeader(field.key)] ??
+      extras[normalizeHeader(field.label || '')];
+    if (value !== undefined) values[field.key] = value;
+  }
+  return values;
+}
+
+/**
+ * Resolve owner/purchaser cells (email or user id) to user ids.
+ * Returns a Map of lowercase cell value -> user id; users that do not
+ * exist are left out.
+ */
+async function resolveUsers(mappedRows) {
+  const ids = new Set();
+  const emails = new Set();
+  for (const { fields } of mappedRows) {
+    for (const key of USER_FIELDS) {
+      const v = fields[key];
+      if (!v) continue;
+      if (mongoose.isObjectIdOrHexString(v)) ids.add(v.toLowerCase());
+      else emails.add(v.toLowerCase());
+    }
+  }
+  if (!ids.size && !emails.size) return new Map();
+
+  const users = await User.find({
+    $or: [{ _id: { $in: [...ids] } }, { email: { $in: [...emails] } }],
+  })
+    .select('_id email')
+    .lean();
+  const resolved = new Map();
+  for (const u of users) {
+    resolved.set(String(u._id), u._id);
+    resolved.set(u.email.toLowerCase(), u._id);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve location cells (id or location code) the way assertLocation
+ * checks them. Returns a Map of cell value -> { id } or { error }.
+ */
+async function resolveLocations(mappedRows) {
+  const refs = new Set(
+    mappedRows.map((r) => r.fields.location).filter(Boolean)
+  );
+  if (!refs.size) return new Map();
+
+  const ids = [...refs].filter((v) => mongoose.isObjectIdOrHexString(v));
+  const locations = await Location.find({
+    $or: [{ _id: { $in: ids } }, { code: { $in: [...refs] } }],
+  })
+    .select('name code active')
+    .lean();
+
+  const resolved = new Map();
+  for (const ref of refs) {
+    const location = locations.find(
+      (l) => String(l._id) === ref || l.code === ref
+    );
+    if (!location) resolved.set(ref, { error: `Location not found ${ref}` });
+    else if (!location.active)
+      resolved.set(ref, { error: `Location ${location.name} is inactive` });
+    else resolved.set(ref, { id: location._id });
+  }
+  return resolved;
+}
+
+/**
+ * Validate parsed spreadsheet rows against the Asset schema.
+ *
+ * @param {{ row: number, values: Object }[]} rows  from parseSpreadsheet
+ * @param {Object} [mapping] header -> Asset field overrides
+ * @returns {Promise<{ valid: Object[], report: Object[] }>} `valid` holds
+ *   asset docs ready to insert (in row order); `report` has one entry per
+ *   row: { row, ok, serialNo, errors: [{ field, message }] }
+ */
+export async function buildImportPlan(rows, mapping = {}) {
+  const mappedRows = rows.map(({ row, values }) => ({
+    row,
+    ...mapRow(values, mapping),
+  }));
+
+  const users = await resolveUsers(mappedRows);
+  const locations = await resolveLocations(mappedRows);
+  const customDefinitions = await definitionsByDeviceType();
+
+  const serials = mappedRows.map((r) => r.fields.serialNo).filter(Boolean);
+  const existing = await Asset.find({ serialNo: { $in: serials } })
+    .select('serialNo')
+    .lean();
+  const existingSerials = new Set(existing.map((a) => a.serialNo));
+  const seenSerials = new Set();
+
+  const valid = [];
+  const report = mappedRows.map(({ row, fields, extras, errors }) => {
+    const definitions = customDefinitions.get(fields.deviceType) || [];
+    const custom = checkCustomFields(
+      definitions,
+      mapCustomFields(extras, definitions),
+      fields.deviceType
+    );
+    errors.push(...custom.errors);
+    if (Object.keys(custom.values).length) fields.customFields = custom.values;
+
+    for (const key of USER_FIELDS) {
+      const v = fields[key];
+      if (!v) continue;
+      const id = users.get(v.toLowerCase());
+      if (id) fields[key] = id;
+      else {
+        const by = mongoose.isObjectIdOrHexString(v) ? 'id' : 'email';
+        errors.push({ field: key, message: `No user with ${by} ${v}` });
+        delete fields[key];
+      }
+    }
+
+    if (fields.location) {
+      const { id, error } = locations.get(fields.location);
+      if (id) fields.location = id;
+      else {
+        errors.push({ field: 'location', message: error });
+        delete fields.location;
+      }
+    }
+
+    if (fields.serialNo) {
+      if (existingSerials.has(fields.serialNo))
+        errors.push({
+          field: 'serialNo',
+          message: `Serial number ${fields.serialNo} already exists`,
+        });
+      else if (seenSerials.has(fields.serialNo))
+        errors.push({
+          field: 'serialNo',
+          message: `Serial number ${fields.serialNo} is repeated in the file`,
+        });
+      seenSerials.add(fields.serialNo);
+    }
+
+    const doc = new Asset(fields);
+    const validation = doc.validateSync();
+    if (validation) {
+      for (const [field, err] of Object.entries(validation.errors)) {
+        // skip fields already reported with a clearer message
+        if (!errors.some((e) => e.field === field))
+          errors.push({ field, message: err.message });
+      }
+    }
+
+    if (!errors.length) valid.push(fields);
+    return { row, ok: !errors.length, serialNo: fields.serialNo, errors };
+  });
+
+  return { valid, report };
+}
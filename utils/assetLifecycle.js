@@ -0,0 +1,138 @@
+// utils/assetLifecycle.js
+import ErrorResponse from './ErrorResponse.js';
+
+export const ASSET_STATES = [
+  'Working',
+  'Discarded',
+  'Returned',
+  'Under Repair',
+  'Lost',
+  'In Stock',
+  'Reserved',
+  'Maintenance',
+  'Damaged',
+  'Sold',
+  'Other',
+];
+
+// Allowed next states for each assetState. Sold is terminal.
+export const ASSET_STATE_TRANSITIONS = {
+  'In Stock': [
+    'Reserved',
+    'Working',
+    'Under Repair',
+    'Maintenance',
+    'Damaged',
+    'Lost',
+    'Discarded',
+    'Sold',
+    'Other',
+  ],
+  Reserved: ['In Stock', 'Working', 'Lost', 'Other'],
+  Working: [
+    'In Stock',
+    'Returned',
+    'Under Repair',
+    'Maintenance',
+    'Damaged',
+    'Lost',
+    'Other',
+  ],
+  Returned: [
+    'In Stock',
+    'Working',
+    'Under Repair',
+    'Maintenance',
+    'Damaged',
+    'Lost',
+    'Discarded',
+    'Sold',
+  ],
+  'Under Repair': ['Working', 'In Stock', 'Damaged', 'Discarded'],
+  Maintenance: ['Working', 'In Stock', 'Under Repair', 'Damaged', 'Discarded'],
+  Damaged: ['Under Repair', 'Discarded', 'Sold'],
+  Lost: ['In Stock', 'Working', 'Discarded'],
+  Discarded: ['Sold'],
+  Sold: [],
+  Other: [
+    'In Stock',
+    'Working',
+    'Under Repair',
+    'Maintenance',
+    'Damaged',
+    'Lost',
+    'Discarded',
+    'Sold',
+  ],
+};
+
+// States in which an asset can be allocated or checked out
+export const ALLOCATABLE_STATES = [
+  'In Stock',
+  'Reserved',
+  'Working',
+  'Returned',
+];
+
+// States only reachable through an approved disposal request
+export const DISPOSAL_STATES = ['Sold', 'Discarded'];
+
+export function allowedTransitions(from) {
+  return ASSET_STATE_TRANSITIONS[from] || [];
+}
+
+export function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Throw a 400/409 ErrorResponse unless `from -> to` is a legal transition.
+ */
+export function assertTransition(from, to) {
+  if (!ASSET_STATES.includes(to))
+    throw new ErrorResponse(
+      `Invalid assetState "${to}". Must be one of ${ASSET_STATES.join(', ')}`,
+      400
+    );
+  if (from === to)
+    throw new ErrorResponse(`Asset is already in state "${to}"`, 409);
+  if (!canTransition(from, to)) {
+    const next = allowedTransitions(from);
+    throw new ErrorResponse(
+      `Cannot change assetState from "${from}" to "${to}". ` +
+        (next.length
+          ? `Allowed: ${next.join(', ')}`
+          : `"${from}" is a final state`),
+      409
+    );
+  }
+}
+
+/**
+ * Throw a 400 ErrorResponse if `to` is a disposal state, which needs admin
+ * approval through /api/v1/disposal.
+ */
+export function assertNotDisposal(to) {
+  if (!DISPOSAL_STATES.includes(to)) return;
+  throw new ErrorResponse(
+    `Assets move to "${to}" through a disposal request (POST /api/v1/disposal)`,
+    400
+  );
+}
+
+export function isAllocatable(asset) {
+  return !!asset && ALLOCATABLE_STATES.includes(asset.assetState);
+}
+
+/**
+ * Throw a 409 ErrorResponse when the asset's state does not allow allocation.
+ */
+export function assertAllocatable(asset) {
+  if (isAllocatable(asset)) return;
+  throw new ErrorResponse(
+    `Asset ${asset.chId || asset._id} is "${
+      asset.assetState
+    }" and cannot be allocated`,
+    409
+  );
+}
@@ -0,0 +1,210 @@
+// utils/customFields.js
+import DeviceType from '../models/DeviceType.js';
+import ErrorResponse from './ErrorResponse.js';
+import { buildFilter } from '../middleware/advancedResults.js';
+import { parseDate } from './warranty.js';
+
+/**
+ * Parse yes/no style values. Returns undefined for blanks, null if invalid.
+ */
+export function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const v = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (!v) return undefined;
+  if (['true', 'yes', 'y', '1'].includes(v)) return true;
+  if (['false', 'no', 'n', '0'].includes(v)) return false;
+  return null;
+}
+
+/**
+ * Custom field definitions for a deviceType ([] when it has none).
+ */
+export async function customFieldDefinitions(deviceType) {
+  if (!deviceType) return [];
+  const type = await DeviceType.findOne({ name: deviceType }).lean();
+  return type?.fields || [];
+}
+
+/**
+ * Custom field definitions of every deviceType, grouped by name.
+ */
+export async function definitionsByDeviceType() {
+  const types = await DeviceType.find().lean();
+  return new Map(types.map((t) => [t.name, t.fields]));
+}
+
+/**
+ * Cast one raw value to the field's type. Returns { value } or { error }.
+ */
+export function castCustomValue(field, raw) {
+  const text = String(raw).trim();
+  switch (field.type) {
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : Number(text);
+      return text !== '' && Number.isFinite(n)
+        ? { value: n }
+        : { error: `${field.label} must be a number` };
+    }
+    case 'date': {
+      const date = parseDate(raw);
+      return date ? { value: date } : { error: `${field.label} is not a date` };
+    }
+    case 'boolean': {
+      const b = parseBoolean(raw);
+      return typeof b === 'boolean'
+        ? { value: b }
+        : { error: `${field.label} must be yes/no or true/false` };
+    }
+    case 'enum': {
+      // accept any casing, store the defined option
+      const match = field.options.find(
+        (o) => o.toLowerCase() === text.toLowerCase()
+      );
+      return match
+        ? { value: match }
+        : {
+            error: `${field.label} must be one of ${field.options.join(', ')}`,
+          };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Check custom field values against a deviceType's definitions. Blank
+ * values are dropped; unknown keys and missing required fields are errors.
+ *
+ * @returns {{ values: Object, errors: { field: string, message: string }[] }}
+ */
+export function checkCustomFields(definitions = [], input = {}, deviceType) {
+  const values = {};
+  const errors = [];
+  const byKey = new Map(definitions.map((f) => [f.key, f]));
+
+  for (const [key, raw] of Object.entries(input || {})) {
+    const field = byKey.get(key);
+    if (!field) {
+      errors.push({
+        field: `customFields.${key}`,
+        message: definitions.length
+          ? `Unknown custom field ${key} for deviceType "${deviceType}"`
+          : `No custom fields are defined for deviceType "${deviceType || ''}"`,
+      });
+      continue;
+    }
+    if (raw === undefined || raw === null || String(raw).trim() === '')
+      continue;
+    const { value, error } = castCustomValue(field, raw);
+    if (error) errors.push({ field: `customFields.${key}`, message: error });
+    else values[key] = value;
+  }
+
+  for (const field of definitions) {
+    if (field.required && values[field.key] === undefined)
+      errors.push({
+        field: `customFields.${field.key}`,
+        message: `${field.label} is required for ${deviceType}`,
+      });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate custom field values for an asset of `deviceType`, throwing a 400
+ * ErrorResponse listing every problem. Values in `existing` that the
+ * deviceType still defines are kept unless `input` overrides them (send
+ * null to clear one).
+ *
+ * @returns {Promise<Object|undefined>} cast values, undefined when empty
+ */
+export async function validateCustomFields(deviceType, input, existing = {}) {
+  if (
+    input !== undefined &&
+    (typeof input !== 'object' || Array.isArray(input))
+  )
+    throw new ErrorResponse('customFields must be an object', 400);
+
+  const definitions = await customFieldDefinitions(deviceType);
+  const defined = new Set(definitions.map((f) => f.key));
+  const merged = {};
+  for (const [key, value] of Object.entries(existing || {})) {
+    if (defined.has(key)) merged[key] = value;
+  }
+  Object.assign(merged, input);
+
+  const { values, errors } = checkCustomFields(definitions, merged, deviceType);
+  if (errors.length)
+    throw new ErrorResponse(errors.map((e) => e.message).join('. '), 400);
+  return Object.keys(values).length ? values : undefined;
+}
+
+/**
+ * Cast a condition built by buildFilter ("16", { $gte: "16" },
+ * { $in: [...] }) to the field's type.
+ */
+function castCondition(field, condition) {
+  const cast = (raw) => {
+    const { value, error } = castCustomValue(field, raw);
+    if (error) throw new ErrorResponse(`Invalid filter: ${error}`, 400);
+    return value;
+  };
+  if (condition === null || typeof condition !== 'object')
+    return cast(condition);
+  const out = {};
+  for (const [op, value] of Object.entries(condition)) {
+    if (op === '$exists') out[op] = value;
+    else if (Array.isArray(value)) out[op] = value.map(cast);
+    else out[op] = cast(value);
+  }
+  return out;
+}
+
+/**
+ * Filter for ?customFields.<key>=value (and <key>[op]=value) query params,
+ * cast to the field's type. Uses the definitions of ?deviceType when given,
+ * otherwise of whichever deviceType defines the key.
+ */
+export async function customFieldsFilter(query = {}) {
+  const paths = Object.keys(query)
+    .map((key) => key.match(/^(customFields\.\w+)(?:\[\w+\])?$/)?.[1])
+    .filter(Boolean);
+  if (!paths.length) return {};
+
+  const definitions =
+    typeof query.deviceType === 'string'
+      ? await customFieldDefinitions(query.deviceType)
+      : [...(await definitionsByDeviceType()).values()].flat();
+  const byKey = new Map();
+  for (const field of definitions) {
+    if (!byKey.has(field.key)) byKey.set(field.key, field);
+  }
+
+  const filter = buildFilter(query, paths);
+  for (const [path, condition] of Object.entries(filter)) {
+    const key = path.slice('customFields.'.length);
+    const field = byKey.get(key);
+    if (!field)
+      throw new ErrorResponse(`Unknown custom field ${key} in filter`, 400);
+    filter[path] = castCondition(field, condition);
+  }
+  return filter;
+}
+
+/**
+ * Export columns for custom fields: those of `deviceType`, or of every
+ * deviceType when not given (one column per key).
+ */
+export async function customFieldColumns(deviceType) {
+  const definitions =
+    typeof deviceType === 'string'
+      ? await customFieldDefinitions(deviceType)
+      : [...(await definitionsByDeviceType()).values()].flat();
+  const seen = new Set();
+  return definitions
+    .filter((f) => !seen.has(f.key) && seen.add(f.key))
+    .map((f) => ({ header: f.label, value: (a) => a.customFields?.[f.key] }));
+}
@@ -0,0 +1,109 @@
+// utils/depreciation.js
+import DepreciationPolicy from '../models/DepreciationPolicy.js';
+import { parseDate } from './warranty.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Whole months elapsed from `start` to `end` (0 if end is before start).
+ */
+export function monthsBetween(start, end) {
+  const s = new Date(start);
+  const e = new Date(end);
+  let months =
+    (e.getUTCFullYear() - s.getUTCFullYear()) * 12 +
+    (e.getUTCMonth() - s.getUTCMonth());
+  if (e.getUTCDate() < s.getUTCDate()) months--;
+  return Math.max(months, 0);
+}
+
+function annualRate(policy) {
+  if (policy.annualRatePercent) return policy.annualRatePercent / 100;
+  return Math.min(2 / (policy.usefulLifeMonths / 12), 1);
+}
+
+/**
+ * Value of an asset `months` after purchase under `policy`.
+ */
+function valueAfter(cost, policy, months) {
+  const salvage = (cost * (policy.salvagePercent || 0)) / 100;
+  if (months >= policy.usefulLifeMonths) return salvage;
+
+  if (policy.method === 'declining_balance') {
+    const value = cost * Math.pow(1 - annualRate(policy), months / 12);
+    return Math.max(value, salvage);
+  }
+  return cost - ((cost - salvage) * months) / policy.usefulLifeMonths;
+}
+
+/**
+ * Purchase date of an asset as a Date (purchasedOn is free text on older
+ * records), or null.
+ */
+export function depreciationStart(asset) {
+  return asset?.purchasedOn ? parseDate(asset.purchasedOn) : null;
+}
+
+/**
+ * Book value of an asset on `asOf`. Returns null when cost, purchase date or
+ * a policy for its deviceType is missing.
+ *
+ * @returns {{ cost, bookValue, accumulated, monthsInService, fullyDepreciated, method, asOf } | null}
+ */
+export function bookValue(asset, policy, asOf = new Date()) {
+  const start = depreciationStart(asset);
+  const cost = asset?.purchaseCost;
+  if (!policy || !start || cost === undefined || cost === null) return null;
+
+  const months = monthsBetween(start, asOf);
+  const value = valueAfter(cost, policy, months);
+  return {
+    cost,
+    bookValue: round2(value),
+    accumulated: round2(cost - value),
+    monthsInService: months,
+    fullyDepreciated: months >= policy.usefulLifeMonths,
+    method: policy.method,
+    asOf,
+  };
+}
+
+/**
+ * Year-by-year depreciation schedule over the asset's useful life.
+ *
+ * @returns {{ year, from, to, opening, depreciation, closing, accumulated }[]}
+ */
+export function depreciationSchedule(asset, policy) {
+  const start = depreciationStart(asset);
+  const cost = asset?.purchaseCost;
+  if (!policy || !start || cost === undefined || cost === null) return [];
+
+  const rows = [];
+  for (let m = 0, year = 1; m < policy.usefulLifeMonths; m += 12, year++) {
+    const end = Math.min(m + 12, policy.usefulLifeMonths);
+    const opening = valueAfter(cost, policy, m);
+    const closing = valueAfter(cost, policy, end);
+    const from = new Date(start);
+    from.setUTCMonth(from.getUTCMonth() + m);
+    const to = new Date(start);
+    to.setUTCMonth(to.getUTCMonth() + end);
+    rows.push({
+      year,
+      from,
+      to,
+      opening: round2(opening),
+      depreciation: round2(opening - closing),
+      closing: round2(closing),
+      accumulated: round2(cost - closing),
+    });
+  }
+  return rows;
+}
+
+/**
+ * All policies keyed by deviceType.
+ */
+export async function policiesByDeviceType() {
+  const policies = await DepreciationPolicy.find().lean();
+  return new Map(policies.map((p) => [p.deviceType, p]));
+}
@@ -0,0 +1,154 @@
+// utils/export.js
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import ErrorResponse from './ErrorResponse.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Format a value for a spreadsheet cell: dates as ISO, booleans as Yes/No.
+ */
+export function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date)
+    return isNaN(value) ? '' : value.toISOString().replace('.000Z', 'Z');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Quote a CSV field. Leading = + - @ are prefixed with ' so spreadsheet apps
+ * do not evaluate cell contents as formulas.
+ */
+function csvField(value) {
+  let text = cellValue(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Throw once the client has gone away so the export stops reading.
+ */
+function assertConnected(res) {
+  if (res.destroyed) throw new Error('Client disconnected');
+}
+
+/**
+ * Wait for `res` to drain. Rejects if the client disconnects (or the
+ * socket errors) first, instead of waiting forever.
+ */
+async function drained(res) {
+  const ac = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: ac.signal }),
+      once(res, 'close', { signal: ac.signal }).then(() => {
+        throw new Error('Client disconnected');
+      }),
+    ]);
+  } finally {
+    ac.abort();
+  }
+}
+
+async function writeCsv(res, columns, cursor) {
+  const writeLine = async (cells) => {
+    assertConnected(res);
+    if (!res.write(cells.map(csvField).join(',') + '\r\n')) {
+      await drained(res);
+    }
+  };
+
+  // BOM so Excel opens UTF-8 names correctly
+  res.write('\uFEFF');
+  await writeLine(columns.map((c) => c.header));
+  for await (const doc of cursor) {
+    await writeLine(columns.map((c) => c.value(doc)));
+  }
+  res.end();
+}
+
+async function writeXlsx(res, columns, cursor, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    key: c.header,
+    width: c.width || 20,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    assertConnected(res);
+    const values = columns.map((c) => c.value(doc));
+    // keep numbers numeric so finance can sum them
+    sheet
+      .addRow(values.map((v) => (typeof v === 'number' ? v : cellValue(v))))
+      .commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream the results of a mongoose query as CSV or XLSX without loading
+ * everything into memory. Computed reports can pass `rows` instead.
+ *
+ * @param {Response} res
+ * @param {Object} options
+ * @param {mongoose.Query} [options.query] filtered (and populated) find query
+ * @param {Iterable|AsyncIterable} [options.rows] rows to write instead of a query
+ * @param {{ header: string, value: (doc) => any, width?: number }[]} options.columns
+ * @param {'csv'|'xlsx'} options.format
+ * @param {string} options.filename        without extension
+ */
+export async function streamExport(
+  res,
+  { query, rows, columns, format, filename }
+) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ErrorResponse(
+      `format must be one of ${EXPORT_FORMATS.join(', ')}`,
+      400
+    );
+  }
+
+  // Surface bad filter values as 400 before any bytes are sent
+  try {
+    if (query) query.cast();
+  } catch (err) {
+    if (err.name === 'CastError')
+      throw new ErrorResponse(
+        `Invalid value for ${err.path}: ${err.value}`,
+        400
+      );
+    throw err;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.attachment(`${filename}-${stamp}.${format}`);
+  res.type(
+    format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+
+  const cursor = rows || query.lean().cursor({ batchSize: 200 });
+  try {
+    if (format === 'csv') await writeCsv(res, columns, cursor);
+    else await writeXlsx(res, columns, cursor, filename);
+  } catch (err) {
+    // Headers are already sent; all we can do is cut the download short
+    console.error(`Export ${filename} failed:`, err);
+    res.destroy(err);
+  } finally {
+    // for await closes the cursor on errors; this covers early exits too
+    if (typeof cursor.close === 'function')
+      await cursor.close().catch(() => {});
+  }
+}
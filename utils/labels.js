@@ -0,0 +1,309 @@
+// utils/labels.js
+import QRCode from 'qrcode';
+import bwipjs from 'bwip-js';
+import PDFDocument from 'pdfkit';
+import ErrorResponse from './ErrorResponse.js';
+
+const MM_TO_PT = 72 / 25.4;
+
+// rendering is synchronous, so keep one sheet request small
+export const MAX_LABELS = 500;
+
+const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  LETTER: { width: 215.9, height: 279.4 },
+};
+
+// Avery L7160 style: 3 x 7 labels of 63.5 x 38.1mm on A4
+export const DEFAULT_SHEET = {
+  pageSize: 'A4',
+  columns: 3,
+  rows: 7,
+  labelWidth: 63.5,
+  labelHeight: 38.1,
+  margin: 7,
+};
+
+/**
+ * Text encoded in an asset's QR code: a deep link when LABEL_BASE_URL is
+ * set (and encode !== 'chId'), otherwise the raw chId.
+ */
+export function labelPayload(asset, encode = 'link') {
+  const chId = asset.chId || String(asset._id);
+  const base = process.env.LABEL_BASE_URL;
+  if (encode === 'chId' || !base) return chId;
+  return `${base.replace(/\/$/, '')}/${encodeURIComponent(chId)}`;
+}
+
+/**
+ * Render a QR code as an SVG string or PNG buffer.
+ */
+export async function renderQr(text, format = 'svg') {
+  if (format === 'png') return QRCode.toBuffer(text, { margin: 1, scale: 8 });
+  return QRCode.toString(text, { type: 'svg', margin: 1 });
+}
+
+/**
+ * Render a Code128 barcode as an SVG string or PNG buffer.
+ */
+export async function renderBarcode(text, format = 'svg') {
+  const options = {
+    bcid: 'code128',
+    text,
+    scale: 3,
+    height: 10,
+    includetext: true,
+    textxalign: 'center',
+  };
+  if (format === 'png') return bwipjs.toBuffer(options);
+  return bwipjs.toSVG(options);
+}
+
+/**
+ * Merge request options with the default sheet layout and validate that
+ * the grid fits on the page.
+ */
+export function resolveSheetOptions(input = {}) {
+  const options = { ...DEFAULT_SHEET };
+  for (const key of ['columns', 'rows']) {
+    if (input[key] !== undefined) options[key] = parseInt(input[key], 10);
+  }
+  for (const key of ['labelWidth', 'labelHeight', 'margin']) {
+    if (input[key] !== undefined) options[key] = parseFloat(input[key]);
+  }
+  if (input.pageSize) options.pageSize = String(input.pageSize).toUpperCase();
+
+  const page = PAGE_SIZES[options.pageSize];
+  if (!page) {
+    throw new ErrorResponse(
+      `Unsupported pageSize. Allowed: ${Object.keys(PAGE_SIZES).join(', ')}`,
+      400
+    );
+  }
+  const numbers = ['columns', 'rows', 'labelWidth', 'labelHeight', 'margin'];
+  if (numbers.some((k) => !Number.isFinite(options[k]) || options[k] < 0)) {
+    throw new ErrorResponse('Label grid options must be positive numbers', 400);
+  }
+  if (options.columns < 1 || options.rows < 1) {
+    throw new ErrorResponse(
+      'Label grid needs at least one column and one row',
+      400
+    );
+  }
+
+  const usableWidth = page.width - 2 * options.margin;
+  const usableHeight = page.height - 2 * options.margin;
+  if (
+    options.columns * options.labelWidth > usableWidth ||
+    options.rows * options.labelHeight > usableHeight
+  ) {
+    throw new ErrorResponse('Label grid does not fit on the page', 400);
+  }
+
+  // Spread leftover space evenly between labels
+  options.gapX =
+    options.columns > 1
+      ? (usableWidth - options.columns * options.labelWidth) /
+        (options.columns - 1)
+      : 0;
+  options.gapY =
+    options.rows > 1
+      ? (usableHeight - options.rows * options.labelHeight) / (options.rows - 1)
+      : 0;
+  options.page = page;
+  return options;
+}
+
+/**
+ * Position (in mm, relative to its page) of the nth label on a sheet.
+ */
+function labelPosition(index, options) {
+  const perPage = options.columns * options.rows;
+  const slot = index % perPage;
+  const col = slot % options.columns;
+  const row = Math.floor(slot / options.columns);
+  return {
+    pageIndex: Math.floor(index / perPage),
+    x: options.margin + col * (options.labelWidth + options.gapX),
+    y: options.margin + row * (options.labelHeight + options.gapY),
+  };
+}
+
+/**
+ * Shared label geometry: QR on the left, name / chId / barcode on the right.
+ */
+function labelLayout(options) {
+  const pad = 2;
+  const qrSize = options.labelHeight - 2 * pad;
+  const textX = pad + qrSize + pad;
+  const textWidth = Math.max(options.labelWidth - textX - pad, 0);
+  return { pad, qrSize, textX, textWidth };
+}
+
+function escapeXml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Place a standalone <svg> document at x/y with the given size.
+ */
+function nestSvg(svg, x, y, width, height) {
+  return svg
+    .replace(/<\?xml[^>]*>/, '')
+    .replace(
+      /<svg\b/,
+      `<svg x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet"`
+    );
+}
+
+/**
+ * Render a printable label sheet for the given assets.
+ *
+ * @param {Object[]} assets  asset docs (name, chId)
+ * @param {Object} options   see resolveSheetOptions / DEFAULT_SHEET
+ * @param {'pdf'|'svg'} format
+ * @param {string} encode    'link' or 'chId' (QR payload)
+ * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+ */
+export async function renderLabelSheet(
+  assets = [],
+  options = DEFAULT_SHEET,
+  format = 'pdf',
+  encode = 'link'
+) {
+  const layout = labelLayout(options);
+  const labels = await Promise.all(
+    assets.map(async (asset) => {
+      const chId = asset.chId || String(asset._id);
+      const payload = labelPayload(asset, encode);
+      return {
+        name: asset.name || '',
+        chId,
+        qr: await renderQr(payload, format === 'pdf' ? 'png' : 'svg'),
+        barcode: await renderBarcode(chId, format === 'pdf' ? 'png' : 'svg'),
+      };
+    })
+  );
+
+  if (format === 'svg') return renderSvgSheet(labels, options, layout);
+  return renderPdfSheet(labels, options, layout);
+}
+
+function renderSvgSheet(labels, options, layout) {
+  const { page } = options;
+  const pages = Math.max(
+    Math.ceil(labels.length / (options.columns * options.rows)),
+    1
+  );
+  // Pages are stacked vertically in a single SVG document
+  const totalHeight = page.height * pages;
+
+  const parts = labels.map((label, i) => {
+    const { pageIndex, x, y } = labelPosition(i, options);
+    const top = pageIndex * page.height + y;
+    const { pad, qrSize, textX, textWidth } = layout;
+    const barcodeHeight = options.labelHeight * 0.35;
+
+    return [
+      `<g transform="translate(${x} ${top})">`,
+      `<rect width="${options.labelWidth}" height="${options.labelHeight}" fill="none" stroke="#cccccc" stroke-width="0.2"/>`,
+      nestSvg(label.qr, pad, pad, qrSize, qrSize),
+      `<text x="${textX}" y="${
+        pad + 4
+      }" font-family="Helvetica, Arial, sans-serif" font-size="3.2">${escapeXml(
+        label.name
+      )}</text>`,
+      `<text x="${textX}" y="${
+        pad + 10
+      }" font-family="Helvetica, Arial, sans-serif" font-size="5" font-weight="bold">${escapeXml(
+        label.chId
+      )}</text>`,
+      nestSvg(
+        label.barcode,
+        textX,
+        options.labelHeight - pad - barcodeHeight,
+        textWidth,
+        barcodeHeight
+      ),
+      '</g>',
+    ].join('');
+  });
+
+  const body = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${page.width}mm" height="${totalHeight}mm" viewBox="0 0 ${page.width} ${totalHeight}">`,
+    ...parts,
+    '</svg>',
+  ].join('\n');
+
+  return { contentType: 'image/svg+xml', body };
+}
+
+function renderPdfSheet(labels, options, layout) {
+  const { page } = options;
+  const pt = (mm) => mm * MM_TO_PT;
+  const doc = new PDFDocument({
+    size: [pt(page.width), pt(page.height)],
+    margin: 0,
+    autoFirstPage: false,
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () =>
+      resolve({ contentType: 'application/pdf', body: Buffer.concat(chunks) })
+    );
+    doc.on('error', reject);
+
+    let currentPage = -1;
+    labels.forEach((label, i) => {
+      const { pageIndex, x, y } = labelPosition(i, options);
+      if (pageIndex !== currentPage) {
+        doc.addPage();
+        currentPage = pageIndex;
+      }
+      const { pad, qrSize, textX, textWidth } = layout;
+      const barcodeHeight = options.labelHeight * 0.35;
+
+      doc
+        .lineWidth(0.5)
+        .strokeColor('#cccccc')
+        .rect(pt(x), pt(y), pt(options.labelWidth), pt(options.labelHeight))
+        .stroke();
+      doc.image(label.qr, pt(x + pad), pt(y + pad), {
+        width: pt(qrSize),
+        height: pt(qrSize),
+      });
+      doc
+        .fillColor('#000000')
+        .font('Helvetica')
+        .fontSize(8)
+        .text(label.name, pt(x + textX), pt(y + pad), {
+          width: pt(textWidth),
+          height: 10,
+          ellipsis: true,
+          lineBreak: false,
+        });
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(12)
+        .text(label.chId, pt(x + textX), pt(y + pad + 5), {
+          width: pt(textWidth),
+          lineBreak: false,
+        });
+      doc.image(
+        label.barcode,
+        pt(x + textX),
+        pt(y + options.labelHeight - pad - barcodeHeight),
+        { fit: [pt(textWidth), pt(barcodeHeight)] }
+      );
+    });
+
+    if (currentPage === -1) doc.addPage();
+    doc.end();
+  });
+}
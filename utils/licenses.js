@@ -0,0 +1,53 @@
+// utils/licenses.js
+import License from '../models/License.js';
+
+const LICENSE_SUMMARY_SELECT = 'product vendor expiresAt seats assignments';
+
+function summary(license, assignment) {
+  return {
+    _id: license._id,
+    product: license.product,
+    vendor: license.vendor,
+    expiresAt: license.expiresAt,
+    assignmentId: assignment._id,
+    assignedAt: assignment.assignedAt,
+  };
+}
+
+/**
+ * Licenses installed on the given assets -> Map of assetId -> [summary].
+ * License keys are never included.
+ */
+export async function licensesByAsset(assetIds = []) {
+  const byAsset = new Map();
+  if (!assetIds.length) return byAsset;
+
+  const ids = assetIds.map(String);
+  const licenses = await License.find({ 'assignments.asset': { $in: ids } })
+    .select(LICENSE_SUMMARY_SELECT)
+    .lean();
+
+  for (const license of licenses) {
+    for (const assignment of license.assignments) {
+      const assetId = assignment.asset && String(assignment.asset);
+      if (!assetId || !ids.includes(assetId)) continue;
+      if (!byAsset.has(assetId)) byAsset.set(assetId, []);
+      byAsset.get(assetId).push(summary(license, assignment));
+    }
+  }
+  return byAsset;
+}
+
+/**
+ * Licenses whose seat is assigned to a user directly.
+ */
+export async function licensesForUser(userId) {
+  const licenses = await License.find({ 'assignments.user': userId })
+    .select(LICENSE_SUMMARY_SELECT)
+    .lean();
+  return licenses.flatMap((license) =>
+    license.assignments
+      .filter((a) => a.user && String(a.user) === String(userId))
+      .map((a) => summary(license, a))
+  );
+}
@@ -0,0 +1,29 @@
+// utils/location.js
+import mongoose from 'mongoose';
+import Location from '../models/Location.js';
+import ErrorResponse from './ErrorResponse.js';
+
+/**
+ * Asset filter for "anywhere under this location" (the location itself and
+ * all nested buildings/rooms/desks). Empty filter when no id is given.
+ */
+export async function withinLocationFilter(locationId) {
+  if (!locationId) return {};
+  if (!mongoose.Types.ObjectId.isValid(locationId))
+    throw new ErrorResponse(`Invalid location id ${locationId}`, 400);
+  return { location: { $in: await Location.subtreeIds(locationId) } };
+}
+
+/**
+ * Throw unless `locationId` is an existing, active location.
+ */
+export async function assertLocation(locationId) {
+  if (!mongoose.Types.ObjectId.isValid(locationId))
+    throw new ErrorResponse(`Invalid location id ${locationId}`, 400);
+  const location = await Location.findById(locationId).select('name active');
+  if (!location)
+    throw new ErrorResponse(`Location not found ${locationId}`, 404);
+  if (!location.active)
+    throw new ErrorResponse(`Location ${location.name} is inactive`, 400);
+  return location;
+}
@@ -0,0 +1,177 @@
+// utils/notify.js
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { sendFcmToTokens } from './fcm.js';
+import sendEmail from './sendMail.js';
+
+/**
+ * Normalize a list of user identifiers (ids, ObjectId, or populated objects with _id)
+ * -> returns array of unique valid string ObjectId values.
+ */
+export function normalizeUserIds(input = []) {
+  if (!Array.isArray(input)) input = [input];
+  const ids = input
+    .map((v) => {
+      if (!v) return null;
+      if (typeof v === 'object') {
+        if (v._id) return String(v._id);
+        if (v._bsontype === 'ObjectId') return String(v);
+        return null;
+      }
+      return String(v);
+    })
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Gather FCM tokens for given user ids. Returns deduped array of token strings.
+ */
+export async function gatherTokensForUserIds(userIds = []) {
+  const ids = normalizeUserIds(userIds);
+  if (!ids.length) return [];
+  const users = await User.find({ _id: { $in: ids } })
+    .select('fcmTokens')
+    .lean();
+  const tokens = users.flatMap((u) =>
+    Array.isArray(u.fcmTokens) ? u.fcmTokens : []
+  );
+  return Array.from(new Set(tokens.filter(Boolean)));
+}
+
+/**
+ * Dedupe { email, name } entries by email.
+ */
+function uniqueByEmail(list = []) {
+  return Array.from(new Map(list.map((r) => [r.email, r])).values());
+}
+
+/**
+ * Gather emails (and names) for given user ids. Returns array of { email, name }.
+ */
+export async function gatherEmailsForUserIds(userIds = []) {
+  const ids = normalizeUserIds(userIds);
+  if (!ids.length) return [];
+  const users = await User.find({ _id: { $in: ids } })
+    .select('email name')
+    .lean();
+  return uniqueByEmail(
+    users
+      .filter((u) => u && u.email)
+      .map((u) => ({ email: String(u.email), name: u.name || '' }))
+  );
+}
+
+/**
+ * Ids of all users with any of the given roles.
+ */
+export async function gatherUserIdsByRole(...roles) {
+  const users = await User.find({ role: { $in: roles } })
+    .select('_id')
+    .lean();
+  return users.map((u) => u._id);
+}
+
+/**
+ * Ids of all admins.
+ */
+export async function gatherAdminIds() {
+  return gatherUserIdsByRole('admin');
+}
+
+/**
+ * FCM tokens of all admins.
+ */
+export async function gatherAdminTokens() {
+  return gatherTokensForUserIds(await gatherAdminIds());
+}
+
+/**
+ * { email, name } of all admins.
+ */
+export async function gatherAdminEmails() {
+  return gatherEmailsForUserIds(await gatherAdminIds());
+}
+
+/**
+ * Id of the user a free-text reference (user id or email, as stored in
+ * User.manager) points at. Null when it matches no one.
+ */
+export async function resolveUserRef(ref) {
+  const value = String(ref ?? '').trim();
+  if (!value) return null;
+  const filter = mongoose.isObjectIdOrHexString(value)
+    ? { _id: value }
+    : { email: value.toLowerCase() };
+  const user = await User.findOne(filter).select('_id').lean();
+  return user ? user._id : null;
+}
+
+/**
+ * Send emails to list of { email, name } recipients, concurrently.
+ * Returns summary { sent, failed, failures }.
+ */
+export async function sendEmailsToRecipients(recipients = [], subject, body) {
+  if (!recipients || !recipients.length)
+    return { sent: 0, failed: 0, failures: [] };
+
+  const results = await Promise.all(
+    recipients.map((r) =>
+      sendEmail({ email: r.email, subject, body })
+        .then(() => ({ email: r.email, ok: true }))
+        .catch((err) => ({
+          email: r.email,
+          ok: false,
+          error: err.message || String(err),
+        }))
+    )
+  );
+  const failures = results.filter((r) => !r.ok);
+  return {
+    sent: results.length - failures.length,
+    failed: failures.length,
+    failures,
+  };
+}
+
+/**
+ * Push (FCM) + email the given users, optionally copying all admins.
+ * Never throws: notification problems are logged, not surfaced.
+ *
+ * @param {Object} options
+ * @param {Array} options.userIds       ids or populated users
+ * @param {boolean} [options.includeAdmins]
+ * @param {string} options.title        push title (email subject is "TAGit — <title>")
+ * @param {string} options.body         push body
+ * @param {Object} [options.data]       FCM data payload (include a `type`)
+ * @param {string} [options.emailBody]  plain text email; no email when omitted
+ */
+export async function notifyUsers({
+  userIds = [],
+  includeAdmins = false,
+  title,
+  body,
+  data = {},
+  emailBody,
+}) {
+  const type = data.type || title;
+  try {
+    const ids = [...userIds];
+    if (includeAdmins) ids.push(...(await gatherAdminIds()));
+
+    const tokens = await gatherTokensForUserIds(ids);
+    if (tokens.length) await sendFcmToTokens(tokens, { title, body }, data);
+
+    if (emailBody) {
+      const recipients = await gatherEmailsForUserIds(ids);
+      const res = await sendEmailsToRecipients(
+        recipients,
+        `TAGit — ${title}`,
+        emailBody
+      );
+      if (res.failed) console.warn(`${type} email failures`, res.failures);
+    }
+  } catch (err) {
+    console.error(`Notification error on ${type}:`, err);
+  }
+}
@@ -0,0 +1,35 @@
+// utils/reminders.js
+
+/**
+ * Parse a comma separated list of reminder days ("30,7,1") from an env
+ * value, largest first. Falls back to `fallback` when unset.
+ */
+export function reminderThresholds(value, fallback = '30,7,1') {
+  const days = String(value || fallback)
+    .split(',')
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d >= 0);
+  return Array.from(new Set(days)).sort((a, b) => b - a);
+}
+
+/**
+ * Smallest threshold crossed, e.g. 7 when 5 days are left with
+ * thresholds [30, 7, 1]. Null when none is crossed yet.
+ */
+export function crossedThreshold(daysLeft, thresholds) {
+  const crossed = thresholds.filter((t) => daysLeft <= t);
+  return crossed.length ? crossed[crossed.length - 1] : null;
+}
+
+/**
+ * Whether the reminder for `threshold` was already sent for this due date.
+ * `lastDays`/`lastDate` are the threshold and due date of the last reminder,
+ * so moving the due date re-arms reminders.
+ */
+export function alreadyReminded({ lastDays, lastDate }, threshold, dueDate) {
+  if (!lastDate || lastDays === null || lastDays === undefined) return false;
+  return (
+    new Date(lastDate).getTime() === new Date(dueDate).getTime() &&
+    lastDays <= threshold
+  );
+}
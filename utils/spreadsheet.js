@@ -0,0 +1,71 @@
+// utils/spreadsheet.js
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import ErrorResponse from './ErrorResponse.js';
+
+/**
+ * Flatten an ExcelJS cell value (rich text, hyperlink, formula, date) to a
+ * plain string.
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText))
+      return value.richText.map((t) => t.text).join('');
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = cellToString(cell.value).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cellToString(row.getCell(col).value).trim();
+    });
+    rows.push({ row: rowNumber, values });
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded .csv or .xlsx file (multer memory file).
+ * Returns [{ row, values }] where `row` is the 1-based sheet row number and
+ * `values` maps header -> string cell value. Blank rows are skipped.
+ */
+export async function parseSpreadsheet(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+
+  try {
+    if (ext === '.xlsx') return await parseXlsx(file.buffer);
+    const records = parse(file.buffer, {
+      columns: (header) => header.map((h) => String(h).trim()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+      info: true,
+    });
+    return records.map(({ record, info }) => ({
+      row: info.lines,
+      values: record,
+    }));
+  } catch (err) {
+    throw new ErrorResponse(`Could not read ${ext} file: ${err.message}`, 400);
+  }
+}
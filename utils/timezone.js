@@ -0,0 +1,128 @@
+// utils/timezone.js
+
+// zone for times given without an offset ("2025-03-01 09:00", "01/03/2025")
+export const DEFAULT_TIME_ZONE = process.env.ALLOCATION_TIMEZONE || 'UTC';
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Offset of `timeZone` from UTC at `date`, in milliseconds.
+ */
+function zoneOffsetMs(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map((p) => [p.type, Number(p.value)]));
+  const wall = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in `timeZone` refers to.
+ */
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timeZone
+) {
+  const wall = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+  const offset = zoneOffsetMs(timeZone, new Date(wall));
+  let utc = wall - offset;
+  // around DST changes the offset at the result can differ from the guess
+  const corrected = zoneOffsetMs(timeZone, new Date(utc));
+  if (corrected !== offset) utc = wall - corrected;
+  return new Date(utc);
+}
+
+/**
+ * Parse a date/time typed by a user.
+ *
+ * - Date objects, epoch milliseconds and ISO strings with an offset
+ *   ("2025-03-01T09:00:00Z", "...+05:30") are exact.
+ * - "2025-03-01", "2025-03-01 09:00", "2025-03-01T09:00:00.000",
+ *   "01/03/2025" and "01/03/2025 09:00" (day first) are read as
+ *   wall-clock time in `timeZone`; date-only values mean midnight at the
+ *   start of that day.
+ *
+ * Returns a Date, or null if the value cannot be read.
+ */
+export function parseZonedDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const date = new Date(s);
+    return isNaN(date) ? null : date;
+  }
+
+  const time = '(?:[T\\s](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?)?';
+  let m = s.match(new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${time}$`));
+  let fields;
+  if (m) {
+    const [, year, month, day, hour, minute, second, fraction] = m;
+    fields = { year, month, day, hour, minute, second, fraction };
+  } else {
+    m = s.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${time}$`));
+    if (!m) return null;
+    const [, day, month, year, hour, minute, second, fraction] = m;
+    fields = { year, month, day, hour, minute, second, fraction };
+  }
+
+  const { fraction, ...parts } = fields;
+  const n = Object.fromEntries(
+    Object.entries(parts).map(([k, v]) => [k, Number(v || 0)])
+  );
+  // ".5" is half a second; keep millisecond precision
+  n.millisecond = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+  if (
+    n.month < 1 ||
+    n.month > 12 ||
+    n.day < 1 ||
+    n.hour > 23 ||
+    n.minute > 59 ||
+    n.second > 59
+  )
+    return null;
+  // reject days the month does not have (31/02)
+  const check = new Date(Date.UTC(n.year, n.month - 1, n.day));
+  if (check.getUTCMonth() !== n.month - 1) return null;
+
+  return zonedTimeToUtc(n, timeZone);
+}
+
+/**
+ * Human readable time in `timeZone` for notifications; 'open-ended' when
+ * there is no date.
+ */
+export function formatInZone(date, timeZone) {
+  return date
+    ? new Date(date).toLocaleString('en-IN', { timeZone: timeZone || 'UTC' })
+    : 'open-ended';
+}
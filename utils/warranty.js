@@ -0,0 +1,150 @@
+// utils/warranty.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+
+/**
+ * Parse a relative span like "30d", "6w", "3m", "1y" or a plain number of
+ * days. Returns the span in days, or null if it cannot be parsed.
+ */
+export function parseSpanDays(value) {
+  const match = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*(d|w|m|y)?$/);
+  if (!match) return null;
+  const n = Number(match[1]);
+  const unit = match[2] || 'd';
+  return { d: n, w: n * 7, m: n * 30, y: n * 365 }[unit];
+}
+
+/**
+ * Parse a calendar date in the formats people type into the old warranty
+ * field: ISO ("2025-12-31"), "31/12/2025", "31-12-2025", "Dec 2025",
+ * "12/2025". Month-only dates resolve to the last day of that month.
+ */
+export function parseDate(text) {
+  if (text instanceof Date) return isNaN(text) ? null : text;
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+
+  // ISO yyyy-mm-dd (optionally with time)
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
+    const d = new Date(s);
+    return isNaN(d) ? null : d;
+  }
+
+  // dd/mm/yyyy or dd-mm-yyyy or dd.mm.yyyy
+  let m = s.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/);
+  if (m) {
+    const [, day, month, year] = m.map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day));
+    return d.getUTCMonth() === month - 1 ? d : null;
+  }
+
+  // mm/yyyy
+  m = s.match(/^(\d{1,2})[\/\-.](\d{4})$/);
+  if (m) {
+    const [, month, year] = m.map(Number);
+    if (month < 1 || month > 12) return null;
+    return new Date(Date.UTC(year, month, 0));
+  }
+
+  // "Dec 2025" / "December 2025"
+  m = s.toLowerCase().match(/^([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/);
+  if (m && MONTHS.includes(m[1])) {
+    return new Date(Date.UTC(Number(m[2]), MONTHS.indexOf(m[1]) + 1, 0));
+  }
+
+  return null;
+}
+
+/**
+ * Add a number of months/years to a date (UTC).
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+/**
+ * Convert a legacy free-form warranty string into structured warranty data.
+ *
+ * Understands end dates ("31/12/2025", "Dec 2025") and durations
+ * ("1 year", "36 months", "2 yrs") which are counted from `purchasedOn`.
+ * The original text is always kept in `raw`; `end` is null when the text
+ * could not be understood.
+ *
+ * @param {string} text
+ * @param {string|Date} [purchasedOn]
+ * @returns {{ start: Date|null, end: Date|null, raw: string }}
+ */
+export function parseWarrantyText(text, purchasedOn) {
+  const raw = String(text ?? '').trim();
+  const result = { start: null, end: null, raw };
+  if (!raw) return result;
+
+  // "start - end" ranges
+  const range = raw.split(/\s+(?:-|to|–)\s+/i);
+  if (range.length === 2 && parseDate(range[0]) && parseDate(range[1])) {
+    result.start = parseDate(range[0]);
+    result.end = parseDate(range[1]);
+    return result;
+  }
+
+  const date = parseDate(raw);
+  if (date) {
+    result.end = date;
+    return result;
+  }
+
+  const duration = raw
+    .toLowerCase()
+    .match(/^(\d+)\s*(years?|yrs?|y|months?|mos?|m)\b/);
+  if (duration) {
+    const start = parseDate(purchasedOn);
+    if (!start) return result;
+    const n = Number(duration[1]);
+    const months = duration[2].startsWith('m') ? n : n * 12;
+    result.start = start;
+    result.end = addMonths(start, months);
+  }
+
+  return result;
+}
+
+/**
+ * Return a copy of an asset payload whose string `warranty` (legacy clients)
+ * is converted to structured warranty data.
+ */
+export function normalizeWarrantyInput(data = {}, purchasedOn) {
+  if (typeof data.warranty !== 'string') return data;
+  return {
+    ...data,
+    warranty: parseWarrantyText(data.warranty, data.purchasedOn || purchasedOn),
+  };
+}
+
+/**
+ * Whole days from now until `date` (negative once it has passed).
+ */
+export function daysUntil(date, now = new Date()) {
+  return Math.ceil((new Date(date) - now) / DAY_MS);
+}
+
+export { DAY_MS };